@@ -12,7 +12,7 @@
  *
  * Architecture:
  * - FAST PATH: Write candidate file on high-entropy exchanges (agent_end hook, <5ms)
- * - SLOW PATH: Process candidates through LLM on agent_end (throttled to 15min, async)
+ * - SLOW PATH: Process candidates through LLM on agent_end, heartbeat or a timer (throttled, async)
  * - INTEGRATION: Write growth vectors to stability plugin's growth-vectors.json
  *
  * Multi-agent: All state scoped per agent via ctx.agentId.
@@ -71,7 +71,19 @@ module.exports = {
                 processing: { type: 'object' },
                 llm: { type: 'object' },
                 storage: { type: 'object' },
+                prompt: { type: 'object' },
                 implications: { type: 'object' },
+                classification: { type: 'object' },
+                gaps: { type: 'object' },
+                procedures: { type: 'object' },
+                review: { type: 'object' },
+                feedback: { type: 'object' },
+                contradictions: { type: 'object' },
+                injection: { type: 'object' },
+                redaction: { type: 'object' },
+                encryption: { type: 'object' },
+                dedup: { type: 'object' },
+                metrics: { type: 'object' },
                 integration: { type: 'object' }
             }
         }
@@ -98,10 +110,121 @@ module.exports = {
         if (!global.__ocMetabolism) {
             global.__ocMetabolism = { gapListeners: [] };
         }
-        const gapListeners = global.__ocMetabolism.gapListeners;
+        const bus = global.__ocMetabolism;
+        // gapListeners: legacy fire-and-forget callbacks.
+        // gapSubscribers: { id, listener } entries with durable, acknowledged delivery
+        // (bus.subscribeGaps below). A plugin that loads first may push entries itself.
+        // eventSubscribers: typed event subscriptions (bus.subscribe below, lib/eventBus.js).
+        bus.gapListeners = bus.gapListeners || [];
+        bus.gapSubscribers = bus.gapSubscribers || [];
+        bus.eventSubscribers = bus.eventSubscribers || [];
+        const gapListeners = bus.gapListeners;
+        const gapSubscribers = bus.gapSubscribers;
 
         const CandidateStore = require('./lib/candidateStore');
         const MetabolismProcessor = require('./lib/processor');
+        const Scheduler = require('./lib/scheduler');
+        const PromptTemplates = require('./lib/promptTemplates');
+        const Deduplicator = require('./lib/dedup');
+        const GrowthVectorFile = require('./lib/growthVectorFile');
+        const Redactor = require('./lib/redactor');
+        const FileCipher = require('./lib/fileCipher');
+        const Ledger = require('./lib/ledger');
+        const Metrics = require('./lib/metrics');
+        const VectorClassifier = require('./lib/vectorClassifier');
+        const GapExtractor = require('./lib/gapExtractor');
+        const GapOutbox = require('./lib/gapOutbox');
+        const EventBus = require('./lib/eventBus');
+        const ProcedureExtractor = require('./lib/procedureExtractor');
+        const ProcedureStore = require('./lib/procedureStore');
+        const ContextInjector = require('./lib/contextInjector');
+        const ReviewQueue = require('./lib/reviewQueue');
+        const FeedbackDetector = require('./lib/feedbackDetector');
+        const ContradictionDetector = require('./lib/contradictionDetector');
+        const reprocess = require('./lib/reprocess');
+
+        // Validate prompt templates up front — a template without {{conversation}}
+        // would silently metabolize nothing.
+        const promptTemplates = new PromptTemplates(config, __dirname);
+        const templateErrors = promptTemplates.validate();
+        if (templateErrors.length > 0) {
+            throw new Error(`Metabolism prompt template invalid: ${templateErrors.join('; ')}`);
+        }
+
+        // A bad custom redaction regex must not silently let secrets through
+        const redactor = new Redactor(config);
+        const redactionErrors = redactor.validate();
+        if (redactionErrors.length > 0) {
+            throw new Error(`Metabolism redaction config invalid: ${redactionErrors.join('; ')}`);
+        }
+
+        // Encryption enabled without a usable key would write plaintext — refuse to start
+        const cipher = new FileCipher(config);
+        const cipherErrors = cipher.validate();
+        if (cipherErrors.length > 0) {
+            throw new Error(`Metabolism encryption config invalid: ${cipherErrors.join('; ')}`);
+        }
+        if (redactor.enabled && redactor.reversible && !cipher.enabled) {
+            api.logger.warn('[Metabolism] redaction.reversible is on without encryption: redacted originals are stored in plaintext in vault/');
+        }
+
+        // Shared so the embedding cache (if enabled) is reused across agents
+        const dedup = new Deduplicator(config);
+
+        // Rules for a type nobody declared would never match — fail at register
+        const classifier = new VectorClassifier(config, __dirname);
+        const classifierErrors = classifier.validate();
+        if (classifierErrors.length > 0) {
+            throw new Error(`Metabolism classification config invalid: ${classifierErrors.join('; ')}`);
+        }
+
+        const gapExtractor = new GapExtractor(config, { dedup });
+        const gapErrors = gapExtractor.validate();
+        if (gapErrors.length > 0) {
+            throw new Error(`Metabolism gaps config invalid: ${gapErrors.join('; ')}`);
+        }
+
+        const procedureExtractor = new ProcedureExtractor(config, { classifier });
+        const procedureErrors = procedureExtractor.validate();
+        if (procedureErrors.length > 0) {
+            throw new Error(`Metabolism procedures config invalid: ${procedureErrors.join('; ')}`);
+        }
+
+        const injector = new ContextInjector(config, { dedup });
+        const injectionErrors = injector.validate();
+        if (injectionErrors.length > 0) {
+            throw new Error(`Metabolism injection config invalid: ${injectionErrors.join('; ')}`);
+        }
+
+        // Feedback is matched to lessons the same way injection matches prompts
+        const feedback = new FeedbackDetector(config, { relevance: (topic, text) => injector.keywordRelevance(topic, text) });
+        const feedbackErrors = feedback.validate();
+        if (feedbackErrors.length > 0) {
+            throw new Error(`Metabolism feedback config invalid: ${feedbackErrors.join('; ')}`);
+        }
+
+        const contradictions = new ContradictionDetector(config);
+        const contradictionErrors = contradictions.validate();
+        if (contradictionErrors.length > 0) {
+            throw new Error(`Metabolism contradictions config invalid: ${contradictionErrors.join('; ')}`);
+        }
+
+        // In-memory counters and histograms (metabolism.getState, metabolism.getMetrics, /metrics)
+        const metrics = new Metrics(config);
+
+        // Typed events for other plugins; the registry is the shared bus.eventSubscribers array
+        const events = new EventBus(bus.eventSubscribers, {
+            logger: api.logger,
+            onError: (event) => metrics.recordEventHandlerError(event)
+        });
+
+        /**
+         * Publish an event to bus subscribers (no-op when integration.emitEvents is off).
+         */
+        function publish(event, agentId, data) {
+            if (config.integration?.emitEvents === false) return;
+            if (events.emit(event, agentId, data) > 0) metrics.recordEvent(agentId, event);
+        }
 
         /**
          * Per-agent state container.
@@ -110,6 +233,7 @@ module.exports = {
             constructor(agentId, workspacePath) {
                 this.agentId = agentId;
                 this.workspacePath = workspacePath || path.join(os.homedir(), '.openclaw', 'workspace');
+                this.sharedWorkspace = !workspacePath;
 
                 // Data directory: legacy path for default/main, scoped for others
                 if (!agentId || agentId === 'main') {
@@ -118,14 +242,64 @@ module.exports = {
                     this.dataDir = ensureDir(path.join(baseDataDir, 'agents', agentId));
                 }
 
-                this.candidateStore = new CandidateStore(config, this.dataDir);
-                this.processor = new MetabolismProcessor(config, this.dataDir);
+                this.candidateStore = new CandidateStore(config, this.dataDir, { redactor, cipher });
+                this.ledger = new Ledger(path.join(this.dataDir, config.storage?.ledgerFile || 'ledger.jsonl'), {
+                    cipher,
+                    agentId: this.agentId
+                });
+                this.processor = new MetabolismProcessor(config, this.dataDir, null, {
+                    agentId: this.agentId,
+                    promptTemplates,
+                    dedup,
+                    classifier,
+                    gapExtractor,
+                    procedureExtractor,
+                    // Novelty is judged against the agent's recent gaps in the ledger
+                    gapHistory: () => this.ledger
+                        .query({ type: 'gap', limit: config.gaps?.historySize ?? 200 })
+                        .entries.map(e => e.text),
+                    metrics
+                });
+                this.processor.llm.onAttempt(attempt => metrics.recordLLMAttempt(this.agentId, attempt));
+                this.gapOutbox = new GapOutbox(path.join(this.dataDir, config.storage?.gapOutboxFile || 'gap-outbox.json'), {
+                    cipher,
+                    agentId: this.agentId,
+                    ...(config.gaps?.outbox || {})
+                });
+                this.gapDelivery = null; // running outbox drain, if any
+                this.reviewQueue = new ReviewQueue(path.join(this.dataDir, config.storage?.reviewQueueFile || 'review-queue.json'), {
+                    cipher,
+                    agentId: this.agentId,
+                    dedup,
+                    maxPending: config.review?.maxPending,
+                    maxRejected: config.review?.maxRejected
+                });
+                this.procedureStore = new ProcedureStore(this.getProceduresPath(), {
+                    agentId: this.agentId,
+                    dedup,
+                    maxRules: config.procedures?.maxRules,
+                    lockTimeoutMs: config.storage?.lockTimeoutMs,
+                    staleLockMs: config.storage?.staleLockMs
+                });
 
                 // Cooldown tracking: FILE-BASED to survive restarts and dual-instance
                 this.cooldownFile = path.join(this.dataDir, '.cooldown.json');
 
                 // Processing lock (prevent concurrent heartbeat processing)
                 this.isProcessing = false;
+
+                // Feedback detected on the fast path, applied by the slow path
+                this.pendingFeedback = [];
+            }
+
+            /**
+             * Hold detected feedback for the slow path. In memory only, so it is
+             * lost on restart: the record holds the unredacted turn, and the fast
+             * path must not read the ledger or lock growth-vectors.json.
+             */
+            queueFeedback(record) {
+                this.pendingFeedback.push(record);
+                if (this.pendingFeedback.length > 100) this.pendingFeedback.shift();
             }
 
             /**
@@ -162,6 +336,14 @@ module.exports = {
                 return (Date.now() - last) < cooldownMs;
             }
 
+            /**
+             * Number of users currently in cooldown.
+             */
+            activeCooldowns() {
+                const cooldownMs = (config.thresholds?.cooldownMinutes || 60) * 60 * 1000;
+                return Object.values(this._loadCooldowns()).filter(last => (Date.now() - last) < cooldownMs).length;
+            }
+
             /**
              * Mark user as metabolized (file-based, cross-instance safe).
              */
@@ -188,40 +370,59 @@ module.exports = {
             }
 
             /**
-             * Write growth vectors to stability plugin's file.
+             * Per-agent trigger/action rules, next to growth-vectors.json by default.
+             * A custom storage.proceduresPath may contain {agentId}. Agents without a
+             * workspace of their own share the default one, so they get their own file in it.
              */
-            writeGrowthVectors(vectors) {
-                const gvPath = this.getGrowthVectorsPath();
-                const gvDir = path.dirname(gvPath);
+            getProceduresPath() {
+                if (config.storage?.proceduresPath) {
+                    return config.storage.proceduresPath.replace(/\{agentId\}/g, this.agentId);
+                }
+                const scoped = this.sharedWorkspace && this.agentId !== 'main';
+                return path.join(this.workspacePath, 'memory', scoped ? `procedures.${this.agentId}.json` : 'procedures.json');
+            }
 
-                try {
-                    ensureDir(gvDir);
+            /**
+             * Write growth vectors to stability plugin's file.
+             * Lock-protected and atomic (the file is shared with stability and other instances).
+             * Near-duplicates of existing vectors reinforce them instead of being appended.
+             *
+             * @param {Array<Object>} vectors
+             * @param {Function} before - Optional (doc) => result, run under the same lock before merging
+             * @returns {Promise<Object|null>} { added, merged, before } or null on failure
+             */
+            async writeGrowthVectors(vectors, before = null) {
+                // Tag with agentId and scope for multi-agent isolation
+                for (const v of vectors) {
+                    if (!v.agentId) v.agentId = this.agentId;
+                    if (!v.scope) v.scope = 'agent';
+                }
 
-                    // Load existing vectors
-                    let existing = { vectors: [], candidates: [] };
-                    if (fs.existsSync(gvPath)) {
-                        try {
-                            existing = JSON.parse(fs.readFileSync(gvPath, 'utf8'));
-                        } catch (e) {
-                            // Start fresh if corrupted
-                        }
-                    }
+                // Locked read-modify-write; near-duplicates merge into existing entries
+                return this.updateGrowthVectors(async existing => {
+                    const prepared = before ? before(existing) : undefined;
+                    const result = await dedup.mergeInto(existing, vectors);
+                    return before ? { ...result, before: prepared } : result;
+                });
+            }
 
-                    // Add new candidates with agent scoping
-                    for (const v of vectors) {
-                        existing.candidates = existing.candidates || [];
-                        // Tag with agentId and scope for multi-agent isolation
-                        if (!v.agentId) v.agentId = this.agentId;
-                        if (!v.scope) v.scope = 'agent';
-                        existing.candidates.push(v);
-                    }
+            /**
+             * Locked read-modify-write of the stability plugin's file.
+             *
+             * @param {Function} mutator - async (doc) => result
+             * @returns {Promise<*>} the mutator's result, or null on failure
+             */
+            async updateGrowthVectors(mutator) {
+                const gvFile = new GrowthVectorFile(this.getGrowthVectorsPath(), {
+                    lockTimeoutMs: config.storage?.lockTimeoutMs,
+                    staleLockMs: config.storage?.staleLockMs
+                });
 
-                    // Write back
-                    fs.writeFileSync(gvPath, JSON.stringify(existing, null, 2));
-                    return true;
+                try {
+                    return await gvFile.update(mutator);
                 } catch (error) {
                     api.logger.error(`[Metabolism:${this.agentId}] Failed to write growth vectors:`, error.message);
-                    return false;
+                    return null;
                 }
             }
         }
@@ -253,6 +454,34 @@ module.exports = {
             return String(msg.reasoning || msg.content || '');
         }
 
+        /**
+         * Settle a processed batch: mark successes processed, record failures
+         * so they retry with backoff (or move to failed/ once out of attempts).
+         */
+        function settleCandidates(state, candidates, results) {
+            for (const candidate of candidates) {
+                const failure = results.failed.find(f => f.id === candidate.id);
+                if (failure) {
+                    const outcome = state.candidateStore.recordFailure(candidate.id, failure.error);
+                    if (outcome?.deadLettered) {
+                        metrics.recordDeadLettered(state.agentId);
+                        api.logger.warn(
+                            `[Metabolism:${state.agentId}] Candidate ${candidate.id} dead-lettered after ${outcome.attempts} attempt(s): ${failure.error}`
+                        );
+                    } else if (outcome) {
+                        api.logger.info(
+                            `[Metabolism:${state.agentId}] Candidate ${candidate.id} failed (attempt ${outcome.attempts}), ` +
+                            `retry after ${new Date(outcome.nextAttemptAt).toISOString()}`
+                        );
+                    }
+                    continue;
+                }
+                state.candidateStore.markProcessed(candidate.id, {
+                    implications: results.processed.find(p => p.id === candidate.id)?.implicationCount || 0
+                });
+            }
+        }
+
         // -------------------------------------------------------------------
         // HOOK: agent_end — FAST PATH: Write candidate if significant
         // -------------------------------------------------------------------
@@ -263,6 +492,7 @@ module.exports = {
             // because the entropy fallback estimates 0.5 for sessions with >10 messages.
             if (event.metadata?.isHeartbeat) {
                 api.logger.debug(`[Metabolism:${ctx.agentId || 'main'}] Skipping heartbeat-originated turn`);
+                metrics.recordSkipped(ctx.agentId, 'heartbeat');
                 return;
             }
 
@@ -287,6 +517,23 @@ module.exports = {
             const userId = event.metadata?.userId || event.profileId || 'unknown';
             const userText = extractText(lastUser);
 
+            // "That's wrong, forget it": feedback on a recent lesson. Only the phrase
+            // check runs here; matching and applying it wait for the slow path.
+            const detected = feedback.enabled ? feedback.detect(userText) : null;
+            const queueFeedback = (candidateId) => {
+                if (!detected) return;
+                const before = messages.slice(0, messages.lastIndexOf(lastUser)).reverse().find(m => m?.role === 'assistant');
+                state.queueFeedback({
+                    detected,
+                    userText,
+                    assistantText: before ? extractText(before) : '',
+                    userId,
+                    entropy,
+                    at: new Date().toISOString(),
+                    candidateId
+                });
+            };
+
             // Check thresholds
             const entropyMinimum = config.thresholds?.entropyMinimum || 0.8;
             const exchangeMinimum = config.thresholds?.exchangeMinimum || 20;
@@ -315,6 +562,8 @@ module.exports = {
                     `[Metabolism:${state.agentId}] Skipping candidate (entropy: ${entropy.toFixed(2)}, ` +
                     `exchanges: ${exchangeCount}/${exchangeMinimum}, explicit: ${hasExplicitMarker}, cooldown: ${inCooldown})`
                 );
+                metrics.recordSkipped(state.agentId, (isHighEntropy || isLongExchange) ? 'cooldown' : 'threshold');
+                queueFeedback(null);
                 return;
             }
 
@@ -336,219 +585,1541 @@ module.exports = {
                 }
             });
 
+            const reason = hasExplicitMarker ? 'explicit' : isHighEntropy ? 'entropy' : 'length';
+            metrics.recordQueued(state.agentId, reason);
+            publish('candidate.queued', state.agentId, { candidateId, userId, reason, entropy });
+            queueFeedback(candidateId);
+
             api.logger.info(
                 `[Metabolism:${state.agentId}] Queued candidate ${candidateId} ` +
-                `(entropy: ${entropy.toFixed(2)}, exchanges: ${exchangeCount}, reason: ${hasExplicitMarker ? 'explicit' : 'threshold'})`
+                `(entropy: ${entropy.toFixed(2)}, exchanges: ${exchangeCount}, reason: ${reason})`
             );
         });
 
-        // -------------------------------------------------------------------
-        // -------------------------------------------------------------------
-        // HOOK: agent_end — SLOW PATH: Process pending candidates (throttled)
-        // -------------------------------------------------------------------
-        // Changed from 'heartbeat' to 'agent_end' with 15min cooldown.
-        // OpenClaw doesn't reliably fire 'heartbeat' events, so we use agent_end
-        // but throttle processing to avoid LLM calls on every turn.
-
-        // Global lock to prevent concurrent processing across all agents
-        let globalProcessing = false;
-        let lastProcessingTime = 0;
-        const PROCESSING_COOLDOWN_MS = 15 * 60 * 1000; // 15 minutes
-
-        api.on('agent_end', async (event, ctx) => {
-            // Skip heartbeat-originated turns (avoid double-processing)
-            if (event.metadata?.isHeartbeat) {
-                return;
+        /**
+         * Apply feedback queued by the fast path, oldest first.
+         */
+        async function applyQueuedFeedback(state) {
+            while (state.pendingFeedback.length > 0) {
+                const record = state.pendingFeedback.shift();
+                try {
+                    await handleFeedback(state, record);
+                } catch (error) {
+                    api.logger.error(`[Metabolism:${state.agentId}] Feedback handling failed:`, error.message);
+                }
             }
+        }
 
-            // Cooldown check - only process every 15min
-            const timeSinceLastProcessing = Date.now() - lastProcessingTime;
-            if (timeSinceLastProcessing < PROCESSING_COOLDOWN_MS) {
-                api.logger.debug(`[Metabolism] Skipping processing - cooldown (${Math.round(timeSinceLastProcessing/1000)}s < 900s)`);
-                return;
+        /**
+         * Apply a user's confirmation or rejection to the lesson it refers to:
+         * the growth vector's weight or status (in growth-vectors.json, or the
+         * review queue while it waits there), a ledger entry, and for rejections
+         * a correction candidate with the user's wording.
+         *
+         * @param {Object} record - From the fast path: { detected, userText, assistantText, userId, entropy, at,
+         *   candidateId (the turn's own candidate, if one was queued) }
+         * @returns {Promise<Object|null>} the ledger entry, or null when nothing matched
+         */
+        async function handleFeedback(state, { detected, userText, assistantText, userId, entropy, at, candidateId }) {
+            const entries = state.ledger.query(feedback.poolQuery(userId, Date.parse(at))).entries;
+            const match = feedback.match(`${assistantText}\n${userText}`, entries);
+            if (!match) {
+                api.logger.debug(`[Metabolism:${state.agentId}] "${detected.phrase}" matched no recent lesson`);
+                return null;
             }
 
-            // Global lock check - only one handler can run at a time
-            if (globalProcessing) {
-                api.logger.debug('[Metabolism] Skipping - global processing in progress');
-                return;
+            const { verdict } = detected;
+            // Stored in growth-vectors.json, the ledger and the review queue: redacted one-way, no vault
+            const wording = redactor.redact(userText).substring(0, 500);
+            const vectorEntry = match.vector;
+            const vectorId = vectorEntry && !vectorEntry.suppressedBy ? (vectorEntry.mergedInto || vectorEntry.vectorId) : null;
+
+            // Where the vector lives decides what can change
+            let outcome = { status: vectorEntry?.suppressedBy ? 'suppressed' : 'no_vector', weight: null };
+            const pending = vectorEntry?.review === 'pending' &&
+                state.reviewQueue.list({ limit: Infinity }).vectors.some(v => v.id === vectorId);
+            if (vectorId && pending) {
+                outcome = { status: 'pending_review', weight: null };
+                if (verdict === 'rejected') {
+                    await state.reviewQueue.reject([vectorId], `user: ${wording}`);
+                    outcome.status = 'rejected';
+                }
+            } else if (vectorId) {
+                outcome = await state.updateGrowthVectors(doc => feedback.applyToVectors(doc, vectorId, { verdict, text: wording, at }))
+                    || { status: 'not_written', weight: null };
+                if (outcome.status === 'rejected') {
+                    await state.reviewQueue.remember([{
+                        id: vectorId, text: match.implication.text, type: vectorEntry.category, sourceId: match.implication.candidateId
+                    }], `user: ${wording}`);
+                }
             }
-            globalProcessing = true;
 
-            try {
-                // Scan ALL agent directories for pending candidates, not just current agent
-                // This ensures metabolism processes candidates even when heartbeat comes to 'main'
-                const agentsDir = path.join(baseDataDir, 'agents');
-                const agentIds = fs.existsSync(agentsDir) 
-                    ? fs.readdirSync(agentsDir, { withFileTypes: true })
-                        .filter(d => d.isDirectory())
-                        .map(d => d.name)
-                    : [];
-                
-                // Also check main/default directory
-                if (fs.existsSync(path.join(baseDataDir, 'candidates'))) {
-                    agentIds.unshift('main');
-                }
+            // The user's wording becomes a candidate of its own, so the correction is learned too
+            let correctionId = null;
+            if (verdict === 'rejected' && feedback.recordCorrections) {
+                correctionId = state.candidateStore.write({
+                    timestamp: at,
+                    userId,
+                    entropy,
+                    priority: feedback.correctionPriority,
+                    messages: [
+                        { role: 'system', content: `Lesson learned earlier, now rejected by the user: ${match.implication.text}` },
+                        ...(assistantText ? [{ role: 'assistant', content: assistantText.substring(0, 2000) }] : []),
+                        { role: 'user', content: userText.substring(0, 2000) }
+                    ],
+                    metadata: { feedback: { verdict, vectorId, implication: match.implication.text } }
+                });
+                metrics.recordQueued(state.agentId, 'feedback');
+                publish('candidate.queued', state.agentId, { candidateId: correctionId, userId, reason: 'feedback', entropy });
 
-                for (const agentId of agentIds) {
-                    const state = getAgentState(agentId);
+                // The correction holds this exchange, so the turn's own candidate is not processed twice
+                if (candidateId && state.candidateStore.get(candidateId)?.status === 'pending') {
+                    state.candidateStore.delete(candidateId);
+                }
+            }
 
-                    // Skip if already processing this agent
-                    if (state.isProcessing) {
-                        continue;
-                    }
+            const entry = await state.ledger.recordFeedback({
+                verdict,
+                text: wording,
+                implication: match.implication,
+                vectorId,
+                status: outcome.status,
+                weight: outcome.weight,
+                relevance: match.relevance,
+                correctionId
+            });
+            state.injectionPool = null;
+            metrics.recordFeedback(state.agentId, verdict);
+            publish('feedback', state.agentId, {
+                candidateId: match.implication.candidateId,
+                implication: match.implication.text,
+                vectorId,
+                verdict,
+                status: outcome.status,
+                text: wording
+            });
 
-                    // Get pending candidates
-                    const batchSize = config.processing?.batchSize || 3;
-                    const candidates = state.candidateStore.getPending(batchSize);
+            api.logger.info(
+                `[Metabolism:${state.agentId}] User ${verdict} "${match.implication.text.substring(0, 60)}" ` +
+                `(vector: ${vectorId || 'none'}, ${outcome.status}${correctionId ? `, correction ${correctionId}` : ''})`
+            );
+            return entry;
+        }
 
-                    if (candidates.length === 0) {
-                        continue; // Nothing to process for this agent
-                    }
+        // -------------------------------------------------------------------
+        // SLOW PATH: Process pending candidates (scheduled, throttled)
+        // -------------------------------------------------------------------
+        // processing.scheduleMode picks what drives the slow path:
+        // - agent_end (default): OpenClaw doesn't reliably fire 'heartbeat' events,
+        //   so piggyback on conversation turns, throttled by processing.cooldownMinutes
+        // - heartbeat: every Nth 'heartbeat' event (processing.heartbeatInterval)
+        // - timer: in-process interval (processing.timerIntervalMinutes)
 
-                    // Set processing lock
-                    state.isProcessing = true;
+        /**
+         * Run one batch for an agent: LLM → growth vectors → knowledge gaps → settle.
+         * Shared by the scheduled slow path and metabolism.trigger.
+         * Caller checks state.isProcessing; this sets and clears it.
+         */
+        async function processCandidates(state, candidates) {
+            const agentId = state.agentId;
+            const started = Date.now();
+            state.isProcessing = true;
 
-                try {
-                    api.logger.info(`[Metabolism:${agentId}] Processing ${candidates.length} candidate(s)`);
+            try {
+                api.logger.info(`[Metabolism:${agentId}] Processing ${candidates.length} candidate(s)`);
 
-                    // Process batch through LLM
-                    const results = await state.processor.processBatch(candidates);
+                // Process batch through LLM
+                const results = await state.processor.processBatch(candidates);
 
-                    // Handle results
-                    if (results.implications.length > 0) {
-                        api.logger.info(
-                            `[Metabolism:${agentId}] Extracted ${results.implications.length} implications, ` +
-                            `${results.growthVectors.length} growth vectors, ${results.gaps.length} gaps`
-                        );
+                // Handle results
+                let written = null;
+                let review = null; // { held, suppressed } when rejected lessons are screened out or vectors held
+                let stored = null;
+                if (results.implications.length > 0) {
+                    api.logger.info(
+                        `[Metabolism:${agentId}] Extracted ${results.implications.length} implications, ` +
+                        `${results.growthVectors.length} growth vectors, ${results.gaps.length} gaps`
+                    );
+
+                    // Write growth vectors to stability plugin (or hold them for review)
+                    if (config.integration?.writeToStabilityVectors && results.growthVectors.length > 0) {
+                        ({ written, review } = await integrateVectors(state, results));
+                    }
 
-                        // Write growth vectors to stability plugin
-                        if (config.integration?.writeToStabilityVectors && results.growthVectors.length > 0) {
-                            const written = state.writeGrowthVectors(results.growthVectors);
-                            if (written) {
-                                api.logger.info(`[Metabolism:${agentId}] Wrote ${results.growthVectors.length} growth vector candidate(s)`);
-                            }
-                        }
+                    // Emit knowledge gaps to subscribed plugins (contemplation, etc.)
+                    if (config.integration?.emitKnowledgeGaps && results.gaps.length > 0) {
+                        await emitGaps(state, results.gaps);
+                    }
 
-                        // Emit knowledge gaps to subscribed plugins (contemplation, etc.)
-                        if (config.integration?.emitKnowledgeGaps && results.gaps.length > 0) {
+                    // Procedural learnings to the agent's procedures file
+                    if (config.integration?.emitProceduralLearnings && results.procedures.length > 0) {
+                        try {
+                            stored = await state.procedureStore.upsert(results.procedures);
                             api.logger.info(
-                                `[Metabolism:${agentId}] Emitting ${results.gaps.length} gap(s) to ${gapListeners.length} listener(s)`
+                                `[Metabolism:${agentId}] Wrote ${stored.added.length} procedure(s), ` +
+                                `reinforced ${stored.reinforced.length} existing`
                             );
-                            for (const listener of gapListeners) {
-                                try {
-                                    listener(results.gaps, agentId);
-                                } catch (e) {
-                                    api.logger.warn(`[Metabolism:${agentId}] Gap listener error:`, e.message);
-                                }
-                            }
+                        } catch (error) {
+                            api.logger.error(`[Metabolism:${agentId}] Failed to write procedures:`, error.message);
                         }
                     }
+                }
 
-                    // Mark processed
-                    for (const candidate of candidates) {
-                        state.candidateStore.markProcessed(candidate.id, {
-                            implications: results.processed.find(p => p.id === candidate.id)?.implicationCount || 0
-                        });
+                // Keep the extracted text — the candidates themselves are cleaned after a week
+                for (const record of results.processed) {
+                    try {
+                        await state.ledger.record(record, written, review);
+                    } catch (error) {
+                        api.logger.error(`[Metabolism:${agentId}] Failed to append to ledger:`, error.message);
                     }
-
-                } catch (error) {
-                    api.logger.error(`[Metabolism:${agentId}] Processing error:`, error.message);
-                } finally {
-                    state.isProcessing = false;
                 }
-            } // end for each agent
-            
-            // Update last processing time only on success
-            lastProcessingTime = Date.now();
+
+                // Mark processed; failed candidates back off or go to failed/
+                settleCandidates(state, candidates, results);
+                publishResults(state, candidates, results, { written, review, stored });
+
+                metrics.recordBatch(agentId, {
+                    durationMs: Date.now() - started,
+                    candidates: candidates.length,
+                    results,
+                    written
+                });
+
+                return results;
             } finally {
-                globalProcessing = false;
+                state.isProcessing = false;
             }
-        });
+        }
 
-        // -------------------------------------------------------------------
-        // HOOK: session_end — Final cleanup
-        // -------------------------------------------------------------------
+        /**
+         * The one way growth vectors reach growth-vectors.json: lessons a reviewer
+         * or user rejected are screened out, the rest are held for review or
+         * written, and written ones are checked for contradictions (folded into
+         * results). Shared by processCandidates and metabolism.reprocess.
+         *
+         * @param {Object} results - { growthVectors, gaps, processed }; contradiction gaps and tensions are added
+         * @param {Function} before - Runs inside the locked write, before merging (reprocess retires old vectors here)
+         * @returns {Promise<Object>} { written, review }
+         */
+        async function integrateVectors(state, results, before = null) {
+            const review = await screenVectors(state, results.growthVectors);
+            if (config.review?.enabled) {
+                review.held = await holdForReview(state, review.kept);
+                return { written: null, review };
+            }
+            if (review.kept.length === 0 && !before) return { written: null, review };
 
-        api.on('session_end', async (event, ctx) => {
-            const state = getAgentState(ctx.agentId);
+            let written = await state.writeGrowthVectors(review.kept, before);
+            if (written) {
+                api.logger.info(
+                    `[Metabolism:${state.agentId}] Wrote ${written.added.length} growth vector candidate(s), ` +
+                    `reinforced ${written.merged.length} existing`
+                );
+                written = foldContradictions(results, written, await resolveContradictions(state, written.added));
+            }
+            return { written, review };
+        }
 
-            // Clean old processed files (older than 7 days)
-            const removed = state.candidateStore.cleanProcessed(7);
-            if (removed > 0) {
-                api.logger.info(`[Metabolism:${state.agentId}] Cleaned ${removed} old processed file(s)`);
+        /**
+         * Queue gaps in the outbox, publish them and notify listeners.
+         * Delivery to subscribers runs in the background.
+         */
+        async function emitGaps(state, gaps) {
+            const agentId = state.agentId;
+            // Persist first, so subscribers that are missing or failing get them later
+            let queued = gaps;
+            try {
+                queued = (await state.gapOutbox.enqueue(gaps)).map(entry => entry.gap);
+            } catch (error) {
+                api.logger.error(`[Metabolism:${agentId}] Failed to write gap outbox:`, error.message);
             }
-        });
+            for (const gap of queued) publish('gap', agentId, { candidateId: gap.sourceId, gap });
+            api.logger.info(
+                `[Metabolism:${agentId}] Emitting ${gaps.length} gap(s) to ${gapListeners.length} listener(s) ` +
+                `and ${gapSubscribers.length} subscriber(s)`
+            );
+            metrics.recordGapsEmitted(agentId, gaps.length);
+            for (const listener of gapListeners) {
+                try {
+                    listener(gaps, agentId);
+                } catch (e) {
+                    api.logger.warn(`[Metabolism:${agentId}] Gap listener error:`, e.message);
+                }
+            }
+            // Not awaited: a slow subscriber must not hold the processing lock
+            deliverGaps(state);
+        }
 
-        // -------------------------------------------------------------------
-        // Gateway methods: monitoring & debugging
-        // -------------------------------------------------------------------
+        /**
+         * Compare newly written vectors with the rest of growth-vectors.json (same
+         * agent and user). Contradictions are linked on both sides (conflictsWith)
+         * and turned into high-priority gaps or tension vectors (contradictions.resolution).
+         * Tension vectors are written here; gaps are left to the caller.
+         *
+         * @returns {Promise<Object>} { conflicts, gaps, tensions, written } (written: the tensions' write result)
+         */
+        async function resolveContradictions(state, added) {
+            const none = { conflicts: [], gaps: [], tensions: [], written: null };
+            if (!contradictions.enabled || added.length === 0) return none;
 
-        api.registerGatewayMethod('metabolism.getState', async ({ params, respond }) => {
-            const state = getAgentState(params?.agentId);
-            const stats = state.candidateStore.getStats();
-            respond(true, {
-                agentId: state.agentId,
-                pending: stats.pending,
-                processed: stats.processed,
-                isProcessing: state.isProcessing,
-                cooldowns: state.lastMetabolismByUser.size,
-                growthVectorsPath: state.getGrowthVectorsPath()
-            });
-        });
+            let conflicts;
+            try {
+                const doc = await new GrowthVectorFile(state.getGrowthVectorsPath()).read();
+                conflicts = await contradictions.find(added, doc, {
+                    complete: async (prompt) => (await state.processor.llm.complete(prompt, { maxTokens: 150 })).text
+                });
+            } catch (error) {
+                api.logger.warn(`[Metabolism:${state.agentId}] Contradiction check failed:`, error.message);
+                return none;
+            }
+            if (conflicts.length === 0) return none;
 
-        api.registerGatewayMethod('metabolism.getPending', async ({ params, respond }) => {
-            const state = getAgentState(params?.agentId);
-            const candidates = state.candidateStore.getPending(params?.limit || 10);
-            respond(true, {
-                agentId: state.agentId,
-                candidates: candidates.map(c => ({
-                    id: c.id,
-                    timestamp: c.timestamp,
-                    entropy: c.entropy,
-                    messageCount: c.messages?.length || 0
-                }))
-            });
-        });
+            await state.updateGrowthVectors(doc => contradictions.link(doc, conflicts));
+            for (const { vector, existing } of conflicts) {
+                vector.conflictsWith = [...(vector.conflictsWith || []), existing.id];
+            }
+            metrics.recordContradictions(state.agentId, conflicts.length);
+            api.logger.info(
+                `[Metabolism:${state.agentId}] ${conflicts.length} growth vector(s) contradict existing ones: ` +
+                conflicts.map(c => `${c.vector.id} vs ${c.existing.id} (${c.judgedBy})`).join(', ')
+            );
 
-        api.registerGatewayMethod('metabolism.trigger', async ({ params, respond }) => {
-            const state = getAgentState(params?.agentId);
+            if (contradictions.resolution === 'tension') {
+                const tensions = conflicts.map(c => contradictions.toTension(c));
+                return { conflicts, gaps: [], tensions, written: await state.writeGrowthVectors(tensions) };
+            }
+            return { conflicts, gaps: conflicts.map(c => contradictions.toGap(c)), tensions: [], written: null };
+        }
 
-            if (state.isProcessing) {
-                respond(false, { error: 'Already processing' });
-                return;
+        /**
+         * Add what resolveContradictions() produced to a batch, so it is emitted,
+         * recorded in the ledger and published like the rest: gaps go first (high
+         * priority), tension vectors join their candidate's growth vectors.
+         *
+         * @returns {Object} written, with the tension vectors' write result merged in
+         */
+        function foldContradictions(results, written, resolved) {
+            const recordFor = item => results.processed.find(p => p.id === item.sourceId);
+            for (const gap of [...resolved.gaps].reverse()) {
+                results.gaps.unshift(gap);
+                recordFor(gap)?.gaps.unshift(gap);
+            }
+            for (const tension of resolved.tensions) {
+                results.growthVectors.push(tension);
+                recordFor(tension)?.growthVectors.push(tension);
             }
+            if (!resolved.written) return written;
+            return {
+                added: [...written.added, ...resolved.written.added],
+                merged: [...written.merged, ...resolved.written.merged]
+            };
+        }
 
-            const batchSize = params?.batchSize || config.processing?.batchSize || 3;
-            const candidates = state.candidateStore.getPending(batchSize);
+        /**
+         * Publish what a batch produced: per candidate, then its implications,
+         * growth vectors and procedures. Gap events go out with the outbox ids,
+         * where the gaps are queued.
+         */
+        function publishResults(state, candidates, results, { written, review, stored }) {
+            const agentId = state.agentId;
+            for (const candidate of candidates) {
+                if (results.failed.some(f => f.id === candidate.id)) continue;
+                const record = results.processed.find(p => p.id === candidate.id);
+                publish('candidate.processed', agentId, {
+                    candidateId: candidate.id,
+                    userId: candidate.userId || null,
+                    implications: record?.implicationCount || 0,
+                    growthVectors: record?.growthVectors.length || 0,
+                    gaps: record?.gaps.length || 0
+                });
+                if (!record) continue;
+
+                for (const detail of record.details) {
+                    publish('implication', agentId, {
+                        candidateId: candidate.id,
+                        text: detail.text,
+                        type: detail.type,
+                        tension: Boolean(detail.tension),
+                        ...(detail.confidence !== null && detail.confidence !== undefined ? { confidence: detail.confidence } : {})
+                    });
+                }
 
-            if (candidates.length === 0) {
-                respond(true, { message: 'No pending candidates' });
-                return;
+                for (const vector of record.growthVectors) {
+                    publishVector(agentId, candidate.id, vector, written, review);
+                }
+
+                for (const procedure of record.procedures || []) {
+                    // added / reinforced an existing rule / not written (write failed)
+                    const reinforced = stored?.reinforced.find(r => r.id === procedure.id);
+                    const status = reinforced ? 'reinforced' : stored?.added.some(p => p.id === procedure.id) ? 'added' : 'not_written';
+                    publish('procedural', agentId, {
+                        candidateId: candidate.id,
+                        text: procedure.text,
+                        vectorId: procedure.vectorId,
+                        procedure,
+                        status,
+                        ...(reinforced ? { reinforcedInto: reinforced.into } : {})
+                    });
+                }
             }
+        }
 
-            state.isProcessing = true;
-            try {
-                const results = await state.processor.processBatch(candidates);
+        /**
+         * Publish one growth vector with what became of it: added, merged into an
+         * existing vector, held for review, suppressed as a rejected lesson, or
+         * not written (writes off or failed).
+         */
+        function publishVector(agentId, candidateId, vector, written, review = null) {
+            const suppressed = review?.suppressed.find(s => s.id === vector.id);
+            const merge = written?.merged.find(m => m.id === vector.id);
+            const held = review?.held && [...review.held.added, ...review.held.merged].some(v => v.id === vector.id);
+            const status = suppressed ? 'suppressed'
+                : held ? 'held'
+                    : merge ? 'merged'
+                        : written?.added.some(v => v.id === vector.id) ? 'added' : 'not_written';
+            publish('growthVector', agentId, {
+                candidateId,
+                vector,
+                status,
+                ...(merge ? { mergedInto: merge.into } : {}),
+                ...(suppressed ? { suppressedBy: suppressed.rejectedId } : {})
+            });
+        }
 
-                for (const candidate of candidates) {
-                    state.candidateStore.markProcessed(candidate.id, {
-                        implications: results.processed.find(p => p.id === candidate.id)?.implicationCount || 0
-                    });
+        /**
+         * Drop vectors that repeat a lesson a reviewer rejected (review.suppressRejected).
+         *
+         * @returns {Promise<Object>} { kept, suppressed, held: null }
+         */
+        async function screenVectors(state, vectors) {
+            if (config.review?.suppressRejected === false) return { kept: vectors, suppressed: [], held: null };
+            try {
+                const { kept, suppressed } = await state.reviewQueue.suppress(vectors);
+                if (suppressed.length > 0) {
+                    api.logger.info(`[Metabolism:${state.agentId}] Suppressed ${suppressed.length} growth vector(s) matching a rejected lesson`);
                 }
+                return { kept, suppressed, held: null };
+            } catch (error) {
+                api.logger.warn(`[Metabolism:${state.agentId}] Could not check rejected lessons:`, error.message);
+                return { kept: vectors, suppressed: [], held: null };
+            }
+        }
 
-                respond(true, {
-                    processed: candidates.length,
-                    implications: results.implications.length,
-                    growthVectors: results.growthVectors.length,
-                    gaps: results.gaps.length
-                });
+        /**
+         * Queue vectors for review instead of writing them (review.enabled).
+         *
+         * @returns {Promise<Object|null>} ReviewQueue.hold() result, or null on failure
+         */
+        async function holdForReview(state, vectors) {
+            if (vectors.length === 0) return null;
+            try {
+                const held = await state.reviewQueue.hold(vectors);
+                api.logger.info(
+                    `[Metabolism:${state.agentId}] Holding ${held.added.length} growth vector(s) for review, ` +
+                    `reinforced ${held.merged.length} pending` +
+                    (held.dropped.length > 0 ? `, dropped ${held.dropped.length} oldest (review.maxPending)` : '')
+                );
+                return held;
             } catch (error) {
-                respond(false, { error: error.message });
-            } finally {
-                state.isProcessing = false;
+                api.logger.error(`[Metabolism:${state.agentId}] Failed to queue growth vectors for review:`, error.message);
+                return null;
             }
-        });
+        }
+
+        /**
+         * Preview candidates without side effects: no growth vectors, gaps, ledger
+         * entries or candidate moves. Used by metabolism.preview and dry-run triggers.
+         */
+        async function previewCandidates(state, candidates) {
+            const previews = [];
+            for (const candidate of candidates) {
+                try {
+                    previews.push({
+                        candidateId: candidate.id,
+                        status: candidate.status || 'pending',
+                        ...(await state.processor.preview(candidate))
+                    });
+                } catch (error) {
+                    previews.push({ candidateId: candidate.id, status: candidate.status || 'pending', error: error.message });
+                }
+            }
+            return previews;
+        }
+
+        /**
+         * Hand each subscriber the outbox gaps it hasn't acknowledged. A listener
+         * acknowledges by returning (or resolving) within gaps.outbox.ackTimeoutMs;
+         * throwing, rejecting or timing out leaves the gaps for a retry.
+         */
+        async function drainOutbox(state) {
+            const ackTimeoutMs = config.gaps?.outbox?.ackTimeoutMs ?? 30000;
+            for (const subscriber of gapSubscribers.filter(s => s && s.id && typeof s.listener === 'function')) {
+                if (!subscriber.subscribedAt) subscriber.subscribedAt = Date.now();
+                const due = state.gapOutbox.pendingFor(subscriber.id);
+                if (due.length === 0) continue;
+
+                let timer;
+                let error = null;
+                try {
+                    await Promise.race([
+                        Promise.resolve().then(() => subscriber.listener(due.map(e => e.gap), state.agentId, {
+                            subscriberId: subscriber.id,
+                            replay: due.some(e => e.createdAt < subscriber.subscribedAt)
+                        })),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(() => reject(new Error(`not acknowledged within ${ackTimeoutMs}ms`)), ackTimeoutMs);
+                            timer.unref?.();
+                        })
+                    ]);
+                } catch (e) {
+                    error = e;
+                    api.logger.warn(`[Metabolism:${state.agentId}] Gap subscriber "${subscriber.id}" failed:`, e.message);
+                } finally {
+                    clearTimeout(timer);
+                }
+                await state.gapOutbox.recordDelivery(subscriber.id, due.map(e => e.id), error);
+            }
+        }
+
+        /**
+         * Drain an agent's outbox. One drain per agent at a time; a request that
+         * arrives mid-drain runs another pass when the current one finishes.
+         *
+         * @returns {Promise<void>}
+         */
+        function deliverGaps(state) {
+            if (state.gapDelivery) {
+                state.gapDeliveryAgain = true;
+                return state.gapDelivery;
+            }
+            state.gapDelivery = (async () => {
+                do {
+                    state.gapDeliveryAgain = false;
+                    await drainOutbox(state);
+                } while (state.gapDeliveryAgain);
+            })()
+                .catch(error => api.logger.error(`[Metabolism:${state.agentId}] Gap delivery failed:`, error.message))
+                .finally(() => { state.gapDelivery = null; });
+            return state.gapDelivery;
+        }
+
+        /**
+         * Drain every agent's outbox (new subscriber, retries).
+         */
+        function deliverAllGaps() {
+            if (gapSubscribers.length === 0) return Promise.resolve();
+            return Promise.all(listAgentIds().map(agentId => deliverGaps(getAgentState(agentId))));
+        }
+
+        /**
+         * List every agent with a data directory ('main' first).
+         */
+        function listAgentIds() {
+            const agentsDir = path.join(baseDataDir, 'agents');
+            const agentIds = fs.existsSync(agentsDir)
+                ? fs.readdirSync(agentsDir, { withFileTypes: true })
+                    .filter(d => d.isDirectory())
+                    .map(d => d.name)
+                : [];
+
+            // Also check main/default directory
+            if (fs.existsSync(path.join(baseDataDir, 'candidates'))) {
+                agentIds.unshift('main');
+            }
+            return agentIds;
+        }
+
+        /**
+         * One scheduled cycle. Scans ALL agent directories, not just the agent whose
+         * turn triggered it, and stops once the global per-cycle budget is spent.
+         *
+         * @param {number} budget - processing.maxCandidatesPerCycle
+         * @returns {Promise<number>} candidates processed
+         */
+        async function runCycle(budget) {
+            // Retry gap deliveries that failed or timed out earlier
+            deliverAllGaps();
+
+            // Feedback first, so its correction candidates can run in this cycle
+            for (const agentId of listAgentIds()) {
+                await applyQueuedFeedback(getAgentState(agentId));
+            }
+
+            // Dry run: nothing is processed on a schedule; use metabolism.trigger or metabolism.preview
+            if (config.processing?.dryRun) {
+                api.logger.debug('[Metabolism] Dry run enabled, skipping scheduled cycle');
+                return 0;
+            }
+
+            let remaining = budget;
+
+            for (const agentId of listAgentIds()) {
+                if (remaining <= 0) {
+                    api.logger.debug(`[Metabolism] Cycle budget of ${budget} spent, deferring remaining agents`);
+                    break;
+                }
+
+                const state = getAgentState(agentId);
+
+                // Skip if already processing this agent
+                if (state.isProcessing) {
+                    continue;
+                }
+
+                // Get pending candidates (batch size, capped by what's left of the cycle budget)
+                const batchSize = Math.min(config.processing?.batchSize || 3, remaining);
+                const candidates = state.candidateStore.getPending(batchSize);
+
+                if (candidates.length === 0) {
+                    continue; // Nothing to process for this agent
+                }
+                remaining -= candidates.length;
+
+                try {
+                    await processCandidates(state, candidates);
+                } catch (error) {
+                    api.logger.error(`[Metabolism:${agentId}] Processing error:`, error.message);
+                }
+            }
+
+            return budget - remaining;
+        }
+
+        const scheduler = new Scheduler(config, runCycle, api.logger);
+
+        api.on('agent_end', async (event, ctx) => {
+            await scheduler.onAgentEnd(event);
+        });
+
+        if (scheduler.mode === 'heartbeat') {
+            api.on('heartbeat', async (event, ctx) => {
+                await scheduler.onHeartbeat(event);
+            });
+        }
+
+        scheduler.start();
+        api.logger.info(`[Metabolism] Slow path scheduled via ${scheduler.mode}`);
+
+        // -------------------------------------------------------------------
+        // HOOK: before_agent_start — inject relevant learnings (opt-in)
+        // -------------------------------------------------------------------
+
+        /**
+         * Pick the implications worth showing for a prompt and render the note.
+         * The pool is read from the ledger once per ledger change and user.
+         */
+        async function selectInjection(state, userId, topic) {
+            let stat = null;
+            try {
+                stat = fs.statSync(state.ledger.filePath);
+            } catch (e) {
+                return { note: null, tokens: 0, items: [], match: injector.match };
+            }
+            const key = `${stat.mtimeMs}:${stat.size}:${injector.scope === 'user' ? userId : '*'}`;
+            if (state.injectionPool?.key !== key) {
+                state.injectionPool = {
+                    key,
+                    items: injector.pool(state.ledger.query(injector.poolQuery(userId)).entries)
+                };
+            }
+            return injector.select(state.injectionPool.items, topic);
+        }
+
+        if (injector.enabled) {
+            api.on('before_agent_start', async (event, ctx) => {
+                if (event.metadata?.isHeartbeat) return;
+                try {
+                    const state = getAgentState(ctx.agentId, event.metadata?.workspace);
+                    const userId = event.metadata?.userId || event.profileId || 'unknown';
+                    const lastUser = [...(event.messages || [])].reverse().find(m => m?.role === 'user');
+                    const topic = event.prompt || (lastUser ? extractText(lastUser) : '');
+                    if (!topic) return;
+
+                    const selected = await selectInjection(state, userId, topic);
+                    if (!selected.note) return;
+
+                    metrics.recordInjection(state.agentId, selected.items.length);
+                    api.logger.debug(
+                        `[Metabolism:${state.agentId}] Injecting ${selected.items.length} implication(s), ~${selected.tokens} tokens`
+                    );
+                    return { prependContext: selected.note };
+                } catch (error) {
+                    // Never hold up the agent over a note
+                    api.logger.warn(`[Metabolism:${ctx.agentId || 'main'}] Context injection skipped:`, error.message);
+                }
+            });
+            api.logger.info(`[Metabolism] Injecting learned implications before agent start (budget ${injector.tokenBudget} tokens)`);
+        }
+
+        // -------------------------------------------------------------------
+        // HOOK: session_end — Final cleanup
+        // -------------------------------------------------------------------
+
+        api.on('session_end', async (event, ctx) => {
+            const state = getAgentState(ctx.agentId);
+
+            // Clean old processed files (older than 7 days)
+            const removed = state.candidateStore.cleanProcessed(7);
+            if (removed > 0) {
+                api.logger.info(`[Metabolism:${state.agentId}] Cleaned ${removed} old processed file(s)`);
+            }
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: monitoring & debugging
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.getState', async ({ params, respond }) => {
+            try {
+                const state = getAgentState(params?.agentId);
+                const stats = state.candidateStore.getStats();
+                const snapshot = metrics.snapshot(state.agentId);
+
+                const depthByAgent = {};
+                for (const agentId of listAgentIds()) {
+                    depthByAgent[agentId] = getAgentState(agentId).candidateStore.getStats().pending;
+                }
+
+                respond(true, {
+                    agentId: state.agentId,
+                    pending: stats.pending,
+                    processed: stats.processed,
+                    failed: stats.failed,
+                    isProcessing: state.isProcessing,
+                    cooldowns: state.activeCooldowns(),
+                    growthVectorsPath: state.getGrowthVectorsPath(),
+                    queue: { ...state.candidateStore.getQueueInfo(), depthByAgent },
+                    metricsSince: snapshot.since,
+                    processing: snapshot.processing,
+                    llm: snapshot.llm,
+                    vectors: snapshot.vectors,
+                    gaps: { ...snapshot.gaps, listeners: gapListeners.length, subscribers: gapSubscribers.length },
+                    events: { ...events.stats(), emitted: snapshot.events },
+                    review: { enabled: Boolean(config.review?.enabled), pending: state.reviewQueue.list({ limit: 0 }).total },
+                    feedback: { enabled: feedback.enabled, queued: state.pendingFeedback.length, ...snapshot.feedback },
+                    scheduler: scheduler.getStatus(),
+                    dryRun: Boolean(config.processing?.dryRun)
+                });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        api.registerGatewayMethod('metabolism.getPending', async ({ params, respond }) => {
+            const state = getAgentState(params?.agentId);
+            const candidates = state.candidateStore.getPending(params?.limit || 10);
+            respond(true, {
+                agentId: state.agentId,
+                candidates: candidates.map(c => ({
+                    id: c.id,
+                    timestamp: c.timestamp,
+                    entropy: c.entropy,
+                    priority: c.priority || 0,
+                    messageCount: c.messages?.length || 0
+                }))
+            });
+        });
+
+        api.registerGatewayMethod('metabolism.trigger', async ({ params, respond }) => {
+            const state = getAgentState(params?.agentId);
+
+            if (state.isProcessing) {
+                respond(false, { error: 'Already processing' });
+                return;
+            }
+
+            await applyQueuedFeedback(state);
+
+            const batchSize = params?.batchSize || config.processing?.batchSize || 3;
+            const candidates = state.candidateStore.getPending(batchSize);
+
+            if (candidates.length === 0) {
+                respond(true, { message: 'No pending candidates' });
+                return;
+            }
+
+            if (config.processing?.dryRun) {
+                const previews = await previewCandidates(state, candidates);
+                const ok = previews.filter(p => !p.error);
+                respond(true, {
+                    dryRun: true,
+                    processed: ok.length,
+                    failed: previews.length - ok.length,
+                    implications: ok.reduce((n, p) => n + p.implications.length, 0),
+                    growthVectors: ok.reduce((n, p) => n + p.growthVectors.length, 0),
+                    gaps: ok.reduce((n, p) => n + p.gaps.length, 0),
+                    previews
+                });
+                return;
+            }
+
+            try {
+                const results = await processCandidates(state, candidates);
+
+                respond(true, {
+                    processed: candidates.length - results.failed.length,
+                    failed: results.failed.length,
+                    implications: results.implications.length,
+                    growthVectors: results.growthVectors.length,
+                    gaps: results.gaps.length
+                });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        api.registerGatewayMethod('metabolism.preview', async ({ params, respond }) => {
+            const state = getAgentState(params?.agentId);
+
+            // A named candidate (pending, processed or failed), or the next one in the queue
+            const candidate = params?.candidateId
+                ? state.candidateStore.get(params.candidateId)
+                : state.candidateStore.getPending(1)[0];
+            if (!candidate) {
+                respond(false, { error: params?.candidateId ? `Candidate ${params.candidateId} not found` : 'No pending candidates' });
+                return;
+            }
+
+            const [preview] = await previewCandidates(state, [candidate]);
+            if (preview.error) {
+                respond(false, { error: preview.error, candidateId: candidate.id });
+                return;
+            }
+            respond(true, { agentId: state.agentId, dryRun: true, ...preview });
+        });
+
+        api.registerGatewayMethod('metabolism.reprocess', async ({ params, respond }) => {
+            const state = getAgentState(params?.agentId);
+            const mode = params?.mode || 'diff';
+            if (!reprocess.MODES.includes(mode)) {
+                respond(false, { error: `mode must be one of: ${reprocess.MODES.join(', ')}` });
+                return;
+            }
+            if (mode !== 'diff' && config.processing?.dryRun) {
+                respond(false, { error: `mode "${mode}" writes growth vectors; processing.dryRun is enabled` });
+                return;
+            }
+            if (mode !== 'diff' && config.review?.enabled) {
+                respond(false, { error: `mode "${mode}" writes growth vectors without review; review.enabled is on` });
+                return;
+            }
+            if (state.isProcessing) {
+                respond(false, { error: 'Already processing' });
+                return;
+            }
+
+            const ids = params?.candidateId || params?.candidateIds
+                ? [].concat(params.candidateId || params.candidateIds)
+                : null;
+            const candidates = state.candidateStore.getProcessed({
+                ids,
+                from: params?.from,
+                to: params?.to,
+                limit: params?.limit || 10
+            });
+
+            const runs = [];
+            state.isProcessing = true;
+            try {
+                for (const candidate of candidates) {
+                    let result;
+                    try {
+                        result = await state.processor.processOne(candidate);
+                    } catch (error) {
+                        runs.push({ candidateId: candidate.id, error: error.message });
+                        continue;
+                    }
+
+                    const previous = reprocess.latestRun(
+                        state.ledger.query({ candidateId: candidate.id, limit: Infinity }).entries
+                    );
+                    const run = {
+                        candidateId: candidate.id,
+                        previous: previous.length > 0
+                            ? { at: previous[0].timestamp, model: previous[0].model, promptVersion: previous[0].promptVersion }
+                            : null,
+                        current: { model: result.llm?.model || null, promptVersion: result.promptVersion || null },
+                        implications: await reprocess.diffImplications(
+                            previous.filter(e => e.type === 'implication').map(e => e.text),
+                            result.implications.length > 0 ? result.details.map(d => d.text) : [],
+                            dedup
+                        ),
+                        growthVectors: {
+                            previous: previous.filter(e => e.type === 'growthVector')
+                                .map(e => ({ id: e.vectorId, text: e.text, type: e.category, ...(e.mergedInto ? { mergedInto: e.mergedInto } : {}) })),
+                            current: (result.growthVectors || []).map(v => ({ id: v.id, text: v.text, type: v.type }))
+                        },
+                        applied: false
+                    };
+
+                    // An empty run never retires what the earlier run learned
+                    if (mode !== 'diff' && result.implications.length > 0) {
+                        let written = null;
+                        let review = null;
+                        if (config.integration?.writeToStabilityVectors && result.growthVectors.length > 0) {
+                            const oldIds = previous
+                                .filter(e => e.type === 'growthVector' && !e.mergedInto)
+                                .map(e => e.vectorId);
+                            const newIds = result.growthVectors.map(v => v.id);
+                            // Same pipeline as a first run: rejected lessons stay out, contradictions are caught
+                            ({ written, review } = await integrateVectors(
+                                state,
+                                { growthVectors: result.growthVectors, gaps: result.gaps, processed: [] },
+                                doc => reprocess.retireVectors(doc, oldIds, { mode, by: newIds })
+                            ));
+                            if (written) {
+                                run.vectors = {
+                                    added: written.added.map(v => v.id),
+                                    merged: written.merged,
+                                    ...(review.suppressed.length > 0 ? { suppressed: review.suppressed.map(v => v.id) } : {}),
+                                    ...written.before
+                                };
+                            }
+                            const conflictGaps = result.gaps.filter(g => g.origin === 'contradiction');
+                            if (config.integration?.emitKnowledgeGaps && conflictGaps.length > 0) {
+                                await emitGaps(state, conflictGaps);
+                            }
+                        }
+
+                        await state.ledger.record({
+                            id: candidate.id,
+                            timestamp: candidate.timestamp,
+                            userId: candidate.userId,
+                            details: result.details,
+                            growthVectors: result.growthVectors,
+                            gaps: result.gaps,
+                            llm: result.llm,
+                            promptVersion: result.promptVersion,
+                            reprocessed: mode
+                        }, written, review);
+                        state.candidateStore.markReprocessed(candidate.id, {
+                            implications: result.implications.length,
+                            mode
+                        });
+                        run.applied = true;
+                    }
+                    runs.push(run);
+                }
+            } catch (error) {
+                respond(false, { error: error.message, runs });
+                return;
+            } finally {
+                state.isProcessing = false;
+            }
+
+            api.logger.info(
+                `[Metabolism:${state.agentId}] Reprocessed ${runs.filter(r => !r.error).length} of ${candidates.length} candidate(s) (mode ${mode})`
+            );
+            respond(true, {
+                agentId: state.agentId,
+                mode,
+                runs,
+                notFound: ids ? ids.filter(id => !candidates.some(c => c.id === id)) : []
+            });
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: candidate management
+        // (fetching a full candidate is metabolism.inspectCandidate)
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.addCandidate', async ({ params, respond }) => {
+            if (Array.isArray(params?.messages) &&
+                !params.messages.every(m => m && typeof m === 'object' && typeof m.content === 'string')) {
+                respond(false, { error: 'every message must be an object with string content' });
+                return;
+            }
+            const messages = Array.isArray(params?.messages)
+                ? params.messages.map(m => ({ role: m.role || 'user', content: m.content }))
+                : CandidateStore.parseTranscript(params?.transcript);
+
+            if (messages.length === 0) {
+                respond(false, { error: 'transcript or messages is required' });
+                return;
+            }
+
+            const state = getAgentState(params.agentId);
+            const candidateId = state.candidateStore.write({
+                timestamp: new Date().toISOString(),
+                userId: params.userId || 'manual',
+                entropy: params.entropy ?? config.thresholds?.entropyMinimum ?? 0.6,
+                priority: params.priority || 0,
+                // Same limits as the fast path
+                messages: messages.slice(-10).map(m => ({ role: m.role, content: m.content.substring(0, 2000) })),
+                metadata: { source: 'manual', exchangeCount: messages.length }
+            });
+            metrics.recordQueued(state.agentId, 'manual');
+            publish('candidate.queued', state.agentId, {
+                candidateId,
+                userId: params.userId || 'manual',
+                reason: 'manual',
+                entropy: params.entropy ?? config.thresholds?.entropyMinimum ?? 0.6
+            });
+
+            api.logger.info(`[Metabolism:${state.agentId}] Queued manual candidate ${candidateId} (${messages.length} message(s))`);
+            respond(true, { agentId: state.agentId, candidateId, messageCount: Math.min(messages.length, 10) });
+        });
+
+        api.registerGatewayMethod('metabolism.deleteCandidate', async ({ params, respond }) => {
+            const ids = [].concat(params?.candidateId || params?.candidateIds || []);
+            if (ids.length === 0) {
+                respond(false, { error: 'candidateId or candidateIds is required' });
+                return;
+            }
+
+            const state = getAgentState(params.agentId);
+            const deleted = [];
+            for (const id of ids) {
+                const from = state.candidateStore.delete(id);
+                if (from) deleted.push({ id, from });
+            }
+            respond(true, {
+                agentId: state.agentId,
+                deleted,
+                notFound: ids.filter(id => !deleted.some(d => d.id === id))
+            });
+        });
+
+        api.registerGatewayMethod('metabolism.requeueProcessed', async ({ params, respond }) => {
+            const ids = [].concat(params?.candidateId || params?.candidateIds || []);
+            if (ids.length === 0) {
+                respond(false, { error: 'candidateId or candidateIds is required' });
+                return;
+            }
+
+            const state = getAgentState(params.agentId);
+            const requeued = ids.filter(id => state.candidateStore.unprocess(id));
+            respond(true, { agentId: state.agentId, requeued, notFound: ids.filter(id => !requeued.includes(id)) });
+        });
+
+        api.registerGatewayMethod('metabolism.setPriority', async ({ params, respond }) => {
+            if (!params?.candidateId || (typeof params.priority !== 'number' && typeof params.delta !== 'number')) {
+                respond(false, { error: 'candidateId and a numeric priority or delta are required' });
+                return;
+            }
+
+            const state = getAgentState(params.agentId);
+            try {
+                const priority = state.candidateStore.setPriority(params.candidateId, {
+                    priority: params.priority,
+                    delta: params.delta
+                });
+                if (priority === null) {
+                    respond(false, { error: `Candidate ${params.candidateId} is not pending` });
+                    return;
+                }
+                respond(true, { agentId: state.agentId, candidateId: params.candidateId, priority });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: dead-letter queue
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.listFailed', async ({ params, respond }) => {
+            const state = getAgentState(params?.agentId);
+            const candidates = state.candidateStore.getFailed(params?.limit || 50);
+            respond(true, {
+                agentId: state.agentId,
+                candidates: candidates.map(c => ({
+                    id: c.id,
+                    timestamp: c.timestamp,
+                    entropy: c.entropy,
+                    attempts: c.attempts,
+                    lastError: c.lastError,
+                    deadLettered: c.deadLettered,
+                    messageCount: c.messages?.length || 0
+                }))
+            });
+        });
+
+        api.registerGatewayMethod('metabolism.requeueFailed', async ({ params, respond }) => {
+            const state = getAgentState(params?.agentId);
+            const ids = params?.all
+                ? state.candidateStore.getFailed(Infinity).map(c => c.id)
+                : [].concat(params?.candidateId || params?.candidateIds || []);
+
+            if (ids.length === 0) {
+                respond(false, { error: 'candidateId, candidateIds or all is required' });
+                return;
+            }
+
+            const requeued = ids.filter(id => state.candidateStore.requeue(id));
+            respond(true, { agentId: state.agentId, requeued, notFound: ids.filter(id => !requeued.includes(id)) });
+        });
+
+        api.registerGatewayMethod('metabolism.discardFailed', async ({ params, respond }) => {
+            const state = getAgentState(params?.agentId);
+            const ids = params?.all
+                ? state.candidateStore.getFailed(Infinity).map(c => c.id)
+                : [].concat(params?.candidateId || params?.candidateIds || []);
+
+            if (ids.length === 0) {
+                respond(false, { error: 'candidateId, candidateIds or all is required' });
+                return;
+            }
+
+            const discarded = ids.filter(id => state.candidateStore.discard(id));
+            respond(true, { agentId: state.agentId, discarded, notFound: ids.filter(id => !discarded.includes(id)) });
+        });
+
+        // -------------------------------------------------------------------
+        // Metrics export (gateway method + optional local scrape endpoint)
+        // -------------------------------------------------------------------
+
+        /**
+         * Queue gauges, read from disk at scrape time.
+         */
+        function collectGauges() {
+            const depth = [];
+            const failed = [];
+            const oldest = [];
+            const openGaps = [];
+            const reviewPending = [];
+            const subscriberIds = gapSubscribers.map(s => s.id);
+            for (const agentId of listAgentIds()) {
+                const store = getAgentState(agentId).candidateStore;
+                const queue = store.getQueueInfo();
+                depth.push({ labels: { agent: agentId }, value: queue.depth });
+                failed.push({ labels: { agent: agentId }, value: store.getStats().failed });
+                oldest.push({ labels: { agent: agentId }, value: (queue.oldestPendingAgeMs || 0) / 1000 });
+                openGaps.push({ labels: { agent: agentId }, value: getAgentState(agentId).gapOutbox.list({ subscribers: subscriberIds }).total });
+                reviewPending.push({ labels: { agent: agentId }, value: getAgentState(agentId).reviewQueue.list({ limit: 0 }).total });
+            }
+            return [
+                { name: 'metabolism_queue_depth', help: 'Pending candidates', samples: depth },
+                { name: 'metabolism_failed_candidates', help: 'Candidates waiting in failed/', samples: failed },
+                { name: 'metabolism_oldest_pending_age_seconds', help: 'Age of the oldest pending candidate', samples: oldest },
+                { name: 'metabolism_gap_listeners', help: 'Attached knowledge gap listeners', samples: [{ labels: {}, value: gapListeners.length }] },
+                { name: 'metabolism_gap_subscribers', help: 'Knowledge gap subscribers with durable delivery', samples: [{ labels: {}, value: gapSubscribers.length }] },
+                { name: 'metabolism_open_gaps', help: 'Outbox gaps not yet acknowledged by every subscriber', samples: openGaps },
+                { name: 'metabolism_review_pending', help: 'Growth vectors waiting for review', samples: reviewPending }
+            ];
+        }
+
+        api.registerGatewayMethod('metabolism.getMetrics', async ({ params, respond }) => {
+            try {
+                if (params?.format === 'openmetrics') {
+                    respond(true, { contentType: Metrics.CONTENT_TYPE, text: metrics.render(collectGauges()) });
+                } else {
+                    respond(true, metrics.toJSON(collectGauges()));
+                }
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        const metricsHttp = config.metrics?.http || {};
+        if (metricsHttp.enabled) {
+            const http = require('http');
+            const metricsPath = metricsHttp.path || '/metrics';
+            const server = http.createServer((req, res) => {
+                if (req.method !== 'GET' || req.url.split('?')[0] !== metricsPath) {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+                try {
+                    const body = metrics.render(collectGauges());
+                    res.writeHead(200, { 'Content-Type': Metrics.CONTENT_TYPE });
+                    res.end(body);
+                } catch (error) {
+                    res.writeHead(500);
+                    res.end(error.message);
+                }
+            });
+            // A second gateway instance will find the port taken — that is not fatal
+            server.on('error', error => {
+                api.logger.warn(`[Metabolism] Metrics endpoint unavailable: ${error.message}`);
+            });
+            const host = metricsHttp.host || '127.0.0.1';
+            const port = metricsHttp.port || 9469;
+            server.listen(port, host, () => {
+                api.logger.info(`[Metabolism] Serving OpenMetrics on http://${host}:${port}${metricsPath}`);
+            });
+            server.unref();
+        }
+
+        // -------------------------------------------------------------------
+        // Gateway methods: ledger
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.queryLedger', async ({ params, respond }) => {
+            const types = params?.type ? [].concat(params.type) : [];
+            const unknown = types.filter(t => !Ledger.ENTRY_TYPES.includes(t));
+            if (unknown.length > 0) {
+                respond(false, { error: `Unknown type(s): ${unknown.join(', ')} (expected ${Ledger.ENTRY_TYPES.join(', ')})` });
+                return;
+            }
+
+            const limit = params?.limit ?? 100;
+            const offset = params?.offset || 0;
+            const filters = {
+                from: params?.from,
+                to: params?.to,
+                type: params?.type,
+                userId: params?.userId,
+                candidateId: params?.candidateId,
+                text: params?.text,
+                limit: Infinity
+            };
+
+            try {
+                // One agent, or every agent merged newest first
+                const agentIds = params?.agentId ? [params.agentId] : listAgentIds();
+                let entries = [];
+                let skipped = 0;
+                for (const agentId of agentIds) {
+                    const result = getAgentState(agentId).ledger.query(filters);
+                    entries = entries.concat(result.entries);
+                    skipped += result.skipped;
+                }
+                entries.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+
+                respond(true, { total: entries.length, entries: entries.slice(offset, offset + limit), skipped });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: knowledge gaps
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.listGaps', async ({ params, respond }) => {
+            const status = params?.status || 'open';
+            if (!GapOutbox.STATUSES.includes(status)) {
+                respond(false, { error: `status must be one of: ${GapOutbox.STATUSES.join(', ')}` });
+                return;
+            }
+
+            try {
+                const agentId = params?.agentId || 'main';
+                const subscribers = gapSubscribers.map(s => s.id);
+                const result = getAgentState(agentId).gapOutbox.list({
+                    status,
+                    subscriberId: params?.subscriberId,
+                    subscribers,
+                    limit: params?.limit ?? 50
+                });
+                respond(true, { agentId, subscribers, ...result });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: procedures
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.listProcedures', async ({ params, respond }) => {
+            const status = params?.status || 'active';
+            if (!['active', 'all'].includes(status)) {
+                respond(false, { error: 'status must be one of: active, all' });
+                return;
+            }
+
+            try {
+                const state = getAgentState(params?.agentId || 'main');
+                const result = state.procedureStore.list({ status, text: params?.text, limit: params?.limit ?? 100 });
+                respond(true, { agentId: state.agentId, path: state.getProceduresPath(), ...result });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: review
+        // -------------------------------------------------------------------
+
+        /**
+         * Reviewer edits must leave a vector stability can use.
+         *
+         * @returns {string|null} error message
+         */
+        function validateEdits(edits) {
+            if (edits === undefined || edits === null) return null;
+            if (typeof edits !== 'object') return 'edits must be an object';
+            const unknown = Object.keys(edits).filter(k => !ReviewQueue.EDITABLE.includes(k));
+            if (unknown.length > 0) return `edits may only change: ${ReviewQueue.EDITABLE.join(', ')}`;
+            if (edits.text !== undefined && (typeof edits.text !== 'string' || !edits.text.trim())) {
+                return 'edits.text must be a non-empty string';
+            }
+            if (edits.type !== undefined && !classifier.typeNames().includes(edits.type)) {
+                return `edits.type must be one of: ${classifier.typeNames().join(', ')}`;
+            }
+            if (edits.weight !== undefined && !(typeof edits.weight === 'number' && edits.weight >= 0 && edits.weight <= 1)) {
+                return 'edits.weight must be a number between 0 and 1';
+            }
+            return null;
+        }
+
+        /**
+         * Approve held vectors: write them to growth-vectors.json and publish the result.
+         * Vectors stay queued when the write fails.
+         */
+        async function approveHeld(state, select, edits) {
+            const result = await state.reviewQueue.approve(select, edits, vectors => state.writeGrowthVectors(vectors));
+            if (result.approved.length > 0) {
+                // Approved vectors are checked for contradictions like written ones
+                const resolved = await resolveContradictions(state, result.written.added);
+                const tensionsWritten = resolved.written || { added: [], merged: [] };
+                metrics.recordWritten(state.agentId, result.written);
+                metrics.recordWritten(state.agentId, tensionsWritten);
+                for (const vector of result.approved) {
+                    publishVector(state.agentId, vector.sourceId || null, vector, result.written);
+                }
+                for (const tension of resolved.tensions) {
+                    publishVector(state.agentId, tension.sourceId, tension, tensionsWritten);
+                }
+                if (config.integration?.emitKnowledgeGaps && resolved.gaps.length > 0) {
+                    await emitGaps(state, resolved.gaps);
+                }
+                api.logger.info(
+                    `[Metabolism:${state.agentId}] Approved ${result.approved.length} growth vector(s): ` +
+                    `wrote ${result.written.added.length}, reinforced ${result.written.merged.length} existing`
+                );
+            }
+            return {
+                approved: result.approved,
+                added: result.written?.added.map(v => v.id) || [],
+                merged: result.written?.merged || [],
+                notFound: result.notFound,
+                ...(result.failed ? { failed: result.failed, error: 'Could not write growth vectors; they stay pending' } : {})
+            };
+        }
+
+        api.registerGatewayMethod('metabolism.listReview', async ({ params, respond }) => {
+            try {
+                const state = getAgentState(params?.agentId || 'main');
+                const enabled = Boolean(config.review?.enabled);
+                if (params?.rejected) {
+                    respond(true, { agentId: state.agentId, enabled, ...state.reviewQueue.listRejected({ limit: params?.limit ?? 50 }) });
+                    return;
+                }
+                const result = state.reviewQueue.list({ type: params?.type, limit: params?.limit ?? 50 });
+                respond(true, { agentId: state.agentId, enabled, ...result });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        api.registerGatewayMethod('metabolism.approveVector', async ({ params, respond }) => {
+            if (!params?.vectorId) {
+                respond(false, { error: 'vectorId is required' });
+                return;
+            }
+            const invalid = validateEdits(params.edits);
+            if (invalid) {
+                respond(false, { error: invalid });
+                return;
+            }
+
+            try {
+                const state = getAgentState(params.agentId || 'main');
+                const edits = params.edits ? { [params.vectorId]: params.edits } : null;
+                const result = await approveHeld(state, [params.vectorId], edits);
+                if (result.notFound.length > 0) {
+                    respond(false, { error: `Vector ${params.vectorId} is not pending review` });
+                    return;
+                }
+                if (result.failed) {
+                    respond(false, { error: result.error });
+                    return;
+                }
+                respond(true, { agentId: state.agentId, ...result });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        api.registerGatewayMethod('metabolism.rejectVector', async ({ params, respond }) => {
+            const ids = [].concat(params?.vectorIds || params?.vectorId || []);
+            if (ids.length === 0) {
+                respond(false, { error: 'vectorId or vectorIds is required' });
+                return;
+            }
+            if (params.reason !== undefined && typeof params.reason !== 'string') {
+                respond(false, { error: 'reason must be a string' });
+                return;
+            }
+
+            try {
+                const state = getAgentState(params.agentId || 'main');
+                const result = await state.reviewQueue.reject(ids, params.reason);
+                if (result.rejected.length > 0) {
+                    api.logger.info(`[Metabolism:${state.agentId}] Rejected ${result.rejected.length} growth vector(s)` +
+                        (params.reason ? `: ${params.reason}` : ''));
+                }
+                respond(true, { agentId: state.agentId, ...result });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        api.registerGatewayMethod('metabolism.bulkApprove', async ({ params, respond }) => {
+            const ids = params?.vectorIds ? [].concat(params.vectorIds) : null;
+            const minWeight = params?.minWeight;
+            if (!ids && !params?.type && minWeight === undefined && !params?.all) {
+                respond(false, { error: 'vectorIds, type, minWeight or all: true is required' });
+                return;
+            }
+            if (minWeight !== undefined && typeof minWeight !== 'number') {
+                respond(false, { error: 'minWeight must be a number' });
+                return;
+            }
+
+            try {
+                const state = getAgentState(params.agentId || 'main');
+                const select = v => (!ids || ids.includes(v.id)) &&
+                    (!params.type || v.type === params.type) &&
+                    (minWeight === undefined || (v.weight ?? 0) >= minWeight);
+                const result = await approveHeld(state, select, null);
+                if (result.failed) {
+                    respond(false, { error: result.error, failed: result.failed });
+                    return;
+                }
+                const notFound = ids ? ids.filter(id => !result.approved.some(v => v.id === id)) : [];
+                respond(true, { agentId: state.agentId, ...result, notFound });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: context injection
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.previewInjection', async ({ params, respond }) => {
+            if (!params?.prompt) {
+                respond(false, { error: 'prompt is required' });
+                return;
+            }
+
+            try {
+                const state = getAgentState(params.agentId);
+                const userId = params.userId || 'unknown';
+                const selected = await selectInjection(state, userId, params.prompt);
+                respond(true, { agentId: state.agentId, userId, enabled: injector.enabled, ...selected });
+            } catch (error) {
+                respond(false, { error: error.message });
+            }
+        });
+
+        // -------------------------------------------------------------------
+        // Gateway methods: encrypted storage
+        // -------------------------------------------------------------------
+
+        api.registerGatewayMethod('metabolism.inspectCandidate', async ({ params, respond }) => {
+            if (!params?.candidateId) {
+                respond(false, { error: 'candidateId is required' });
+                return;
+            }
+
+            const state = getAgentState(params.agentId);
+            try {
+                // reveal: true also restores redacted values from the vault
+                const candidate = params.reveal
+                    ? state.candidateStore.reveal(params.candidateId)
+                    : state.candidateStore.get(params.candidateId);
+                if (!candidate) {
+                    respond(false, { error: `Candidate ${params.candidateId} not found` });
+                    return;
+                }
+                delete candidate.filepath;
+                respond(true, { agentId: state.agentId, encrypted: cipher.enabled, candidate });
+            } catch (error) {
+                respond(false, { error: `Cannot read candidate: ${error.message}` });
+            }
+        });
+
+        api.registerGatewayMethod('metabolism.reencryptStorage', async ({ params, respond }) => {
+            const agentIds = params?.agentId ? [params.agentId] : listAgentIds();
+            const agents = {};
+            try {
+                for (const agentId of agentIds) {
+                    const state = getAgentState(agentId);
+                    agents[agentId] = {
+                        ...state.candidateStore.reencrypt(),
+                        ledger: await state.ledger.reencrypt(),
+                        gapOutbox: await state.gapOutbox.reencrypt(),
+                        reviewQueue: await state.reviewQueue.reencrypt()
+                    };
+                    if (agents[agentId].failed.length > 0) {
+                        api.logger.warn(
+                            `[Metabolism:${agentId}] Re-encryption left ${agents[agentId].failed.length} file(s) unreadable`
+                        );
+                    }
+                }
+            } catch (error) {
+                // A bad key or a lock timeout; agents already listed were rewritten
+                api.logger.error(`[Metabolism] Re-encryption failed:`, error.message);
+                respond(false, { error: error.message, agents });
+                return;
+            }
+            respond(true, { encrypted: cipher.enabled, keyId: cipher.keyId, agents });
+        });
+
+        // -------------------------------------------------------------------
+        // Durable gap subscriptions (global.__ocMetabolism.subscribeGaps)
+        // -------------------------------------------------------------------
+
+        /**
+         * Subscribe to knowledge gaps with per-subscriber delivery tracking.
+         * Gaps the subscriber hasn't acknowledged, including ones emitted before
+         * it subscribed, are replayed right away.
+         *
+         * @param {string} subscriberId - Stable id (e.g. "contemplation"); delivery is tracked under it
+         * @param {Function} listener - async (gaps, agentId, { subscriberId, replay }) => void; resolve to acknowledge
+         * @returns {Function} unsubscribe
+         */
+        bus.subscribeGaps = (subscriberId, listener) => {
+            if (!subscriberId || typeof listener !== 'function') {
+                throw new Error('subscribeGaps(subscriberId, listener) needs an id and a function');
+            }
+            bus.unsubscribeGaps(subscriberId);
+            gapSubscribers.push({ id: subscriberId, listener, subscribedAt: Date.now() });
+            deliverAllGaps();
+            return () => bus.unsubscribeGaps(subscriberId);
+        };
+
+        bus.unsubscribeGaps = (subscriberId) => {
+            const index = gapSubscribers.findIndex(s => s.id === subscriberId);
+            if (index !== -1) gapSubscribers.splice(index, 1);
+        };
+
+        // Subscribers that registered before this plugin loaded
+        deliverAllGaps();
+
+        // -------------------------------------------------------------------
+        // Typed event bus (global.__ocMetabolism.subscribe)
+        // -------------------------------------------------------------------
+
+        bus.version = EventBus.VERSION;
+        bus.supportedVersions = EventBus.SUPPORTED_VERSIONS;
+        bus.events = EventBus.EVENTS;
+
+        /**
+         * Subscribe to a metabolism event ('*' for all). See lib/eventBus.js for payloads.
+         *
+         * @param {string} event
+         * @param {Function} handler - (envelope) => void | Promise; envelope is { id, event, version, agentId, timestamp, data }
+         * @param {Object} options - { id, versions: [1] }
+         * @returns {Function} unsubscribe
+         */
+        bus.subscribe = (event, handler, options) => events.subscribe(event, handler, options);
+        bus.unsubscribe = (idOrHandler) => events.unsubscribe(idOrHandler);
+        bus.negotiate = (versions) => events.negotiate(versions);
+
+        /**
+         * An agent's active trigger/action rules, most recently seen first, for tools that enforce them.
+         *
+         * @param {string} agentId
+         * @returns {Array<Object>}
+         */
+        bus.getProcedures = (agentId = 'main') => getAgentState(agentId).procedureStore.list({ limit: Infinity }).procedures;
 
         api.logger.info('Metabolism plugin registered — entropy-triggered learning with async processing');
     }
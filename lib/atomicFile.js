@@ -0,0 +1,121 @@
+/**
+ * Atomic File - Temp-then-rename writes and advisory file locks
+ *
+ * Design principles:
+ * - Readers never see a half-written file (write temp, fsync, rename)
+ * - Locks are advisory files next to the target (<file>.lock), so any process can honor them
+ * - A crashed holder must not wedge everyone else (stale locks are broken)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_DELAY_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Write a file atomically: temp file in the same directory, fsync, rename over the target.
+ *
+ * @param {string} filePath - Target path
+ * @param {string|Buffer} data - File contents
+ */
+function writeAtomic(filePath, data) {
+    const tmpPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`
+    );
+
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+        try { fs.unlinkSync(tmpPath); } catch (e) { /* best effort */ }
+        throw error;
+    }
+}
+
+/**
+ * Is the lock held by a dead process or older than staleMs?
+ */
+function _isStale(lockPath, staleMs) {
+    let info;
+    try {
+        info = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (e) {
+        // Unreadable / half-written lock: judge by age alone
+        try {
+            return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+        } catch (statError) {
+            return false; // Already gone
+        }
+    }
+
+    if (Date.now() - (info.acquired || 0) > staleMs) return true;
+
+    // Same host: a dead pid means the holder crashed
+    if (info.host === os.hostname() && info.pid) {
+        try {
+            process.kill(info.pid, 0);
+        } catch (e) {
+            return e.code === 'ESRCH';
+        }
+    }
+    return false;
+}
+
+/**
+ * Run fn while holding an advisory lock on filePath (<filePath>.lock).
+ *
+ * @param {string} filePath - File being protected
+ * @param {Function} fn - Sync or async function to run under the lock
+ * @param {Object} options - { timeoutMs, staleMs }
+ * @returns {Promise<*>} fn's result
+ * @throws if the lock cannot be acquired within timeoutMs
+ */
+async function withLock(filePath, fn, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS, staleMs = DEFAULT_STALE_MS } = {}) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + timeoutMs;
+    let fd = null;
+
+    while (fd === null) {
+        try {
+            fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), acquired: Date.now() }));
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            if (_isStale(lockPath, staleMs)) {
+                console.warn(`[Metabolism] Breaking stale lock ${lockPath}`);
+                try { fs.unlinkSync(lockPath); } catch (e) { /* someone else broke it */ }
+                continue;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting for lock ${lockPath}`);
+            }
+            await sleep(RETRY_DELAY_MS);
+        }
+    }
+
+    try {
+        return await fn();
+    } finally {
+        fs.closeSync(fd);
+        try { fs.unlinkSync(lockPath); } catch (e) { /* best effort */ }
+    }
+}
+
+module.exports = {
+    writeAtomic,
+    withLock
+};
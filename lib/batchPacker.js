@@ -0,0 +1,151 @@
+/**
+ * Batch Packer - Several candidates in one LLM call
+ *
+ * Design principles:
+ * - Pack greedily under a token budget (cheap estimate, no tokenizer dependency)
+ * - Delimit every conversation with its candidate id, and ask for the id back
+ * - Trust only what maps cleanly: anything ambiguous goes back to per-candidate calls
+ */
+
+const structuredOutput = require('./structuredOutput');
+
+// Rough chars-per-token ratio; good enough to keep prompts under budget
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split candidates into groups whose combined conversations fit the token budget.
+ * Order is preserved (the store already sorts by entropy).
+ *
+ * @param {Array<Object>} entries - [{ candidate, conversation }]
+ * @param {Object} options - { tokenBudget, maxPerCall }
+ * @returns {Array<Array<Object>>} groups of entries
+ */
+function pack(entries, { tokenBudget = 3000, maxPerCall = 5 } = {}) {
+    const groups = [];
+    let current = [];
+    let used = 0;
+
+    for (const entry of entries) {
+        const tokens = estimateTokens(entry.conversation);
+        if (current.length > 0 && (used + tokens > tokenBudget || current.length >= maxPerCall)) {
+            groups.push(current);
+            current = [];
+            used = 0;
+        }
+        current.push(entry);
+        used += tokens;
+    }
+    if (current.length > 0) groups.push(current);
+
+    return groups;
+}
+
+/**
+ * Join conversations with candidate-id delimiters.
+ */
+function buildConversation(entries) {
+    return entries
+        .map(({ candidate, conversation }) => (
+            `<<<CANDIDATE ${candidate.id} | entropy ${(candidate.entropy || 0).toFixed(2)}>>>\n` +
+            `${conversation}\n` +
+            `<<<END ${candidate.id}>>>`
+        ))
+        .join('\n\n');
+}
+
+/**
+ * Output format instructions for a packed prompt.
+ *
+ * @param {Array<string>} types - Vector types for JSON mode (defaults to the built-in ones)
+ */
+function formatInstructions(ids, outputMode = 'text', types = structuredOutput.VECTOR_TYPES) {
+    const intro = `There are ${ids.length} separate conversations above, each between <<<CANDIDATE id>>> and <<<END id>>> markers ` +
+        `(ids: ${ids.join(', ')}). Metabolize each one on its own — never mix what you learned across them.`;
+
+    if (outputMode === 'json') {
+        return `${intro}
+
+${structuredOutput.formatInstructions(types)}
+
+Wrap one such object per conversation, keyed by candidate id:
+{ "candidates": { "<candidate id>": { "implications": [...], "openQuestions": [...] } } }`;
+    }
+
+    return `${intro}
+
+Format: For each conversation write a header line "### <candidate id>", then its implications, one per line.
+Write the header even if a conversation taught you nothing. No other headers, no numbering, no meta-text.`;
+}
+
+/**
+ * Split a packed text response into per-candidate sections.
+ * Sections for unknown ids, or ids that appear twice, are treated as ambiguous and dropped.
+ *
+ * @returns {Map<string, string>} candidate id → section text
+ */
+function splitText(response, ids) {
+    const sections = new Map();
+    const seen = new Map();
+    let currentId = null;
+
+    for (const line of String(response || '').split('\n')) {
+        const header = line.match(/^\s*#{1,6}\s*\[?(cand_[\w-]+)\]?\s*$/);
+        if (header) {
+            currentId = header[1];
+            seen.set(currentId, (seen.get(currentId) || 0) + 1);
+            if (!sections.has(currentId)) sections.set(currentId, []);
+            continue;
+        }
+        if (currentId) sections.get(currentId).push(line);
+    }
+
+    const result = new Map();
+    for (const id of ids) {
+        if (sections.has(id) && seen.get(id) === 1) {
+            result.set(id, sections.get(id).join('\n'));
+        }
+    }
+    return result;
+}
+
+/**
+ * Split a packed JSON response into per-candidate validated results.
+ *
+ * @param {Array<string>} types - Accepted vector types
+ * @returns {Map<string, Object>} candidate id → structuredOutput.validate() value
+ */
+function splitJson(response, ids, types = structuredOutput.VECTOR_TYPES) {
+    const result = new Map();
+    const json = structuredOutput.extractJson(response);
+    if (!json) return result;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (e) {
+        return result;
+    }
+
+    const byId = parsed?.candidates;
+    if (!byId || typeof byId !== 'object') return result;
+
+    for (const id of ids) {
+        if (!(id in byId)) continue;
+        const validated = structuredOutput.validate(byId[id], types);
+        if (validated.valid) result.set(id, validated.value);
+    }
+    return result;
+}
+
+module.exports = {
+    estimateTokens,
+    pack,
+    buildConversation,
+    formatInstructions,
+    splitText,
+    splitJson
+};
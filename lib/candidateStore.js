@@ -5,18 +5,85 @@
  * - Zero runtime latency for candidate writing (synchronous file append)
  * - Atomic reads for processing (move file to processing, then delete on success)
  * - Size-bounded (prune old candidates when over limit)
+ * - Failures retry with exponential backoff, then land in failed/ (dead letter)
+ * - PII and secrets are redacted before the file is written; originals live in a separate vault
+ * - Optionally encrypted at rest (AES-256-GCM); every file read/write goes through the cipher
  */
 
 const fs = require('fs');
 const path = require('path');
+const Redactor = require('./redactor');
+const FileCipher = require('./fileCipher');
+const { writeAtomic } = require('./atomicFile');
+
+const TRANSCRIPT_ROLES = {
+    user: 'user',
+    human: 'user',
+    assistant: 'assistant',
+    agent: 'assistant',
+    ai: 'assistant',
+    system: 'system'
+};
+
+/**
+ * Parse a pasted transcript ("User: ...\nAssistant: ...") into messages.
+ * Unprefixed lines continue the previous message; text with no role
+ * prefixes at all becomes a single user message.
+ * 
+ * @param {string} transcript
+ * @returns {Array<Object>} [{ role, content }]
+ */
+function parseTranscript(transcript) {
+    const messages = [];
+    for (const line of String(transcript || '').split('\n')) {
+        const match = line.match(/^\s*(user|human|assistant|agent|ai|system)\s*:\s?(.*)$/i);
+        if (match) {
+            messages.push({ role: TRANSCRIPT_ROLES[match[1].toLowerCase()], content: match[2] });
+        } else if (messages.length > 0) {
+            messages[messages.length - 1].content += '\n' + line;
+        } else if (line.trim()) {
+            messages.push({ role: 'user', content: line });
+        }
+    }
+    return messages
+        .map(m => ({ ...m, content: m.content.trim() }))
+        .filter(m => m.content);
+}
+
+// What write() generates; anything else (e.g. "../memory/growth-vectors" from gateway params) is not a candidate
+const CANDIDATE_ID = /^cand_\d+_[a-z0-9]+$/;
+
+function isCandidateId(candidateId) {
+    return typeof candidateId === 'string' && CANDIDATE_ID.test(candidateId);
+}
+
+function _toTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
 
 class CandidateStore {
-    constructor(config, dataDir) {
+    /**
+     * @param {Object} config - Plugin config
+     * @param {string} dataDir - Data directory for this agent
+     * @param {Object} options - { redactor, cipher } (shared instances; built from config if omitted)
+     */
+    constructor(config, dataDir, options = {}) {
         this.dataDir = dataDir;
         this.candidatesDir = path.join(dataDir, config.storage?.candidatesDir || 'candidates');
         this.processedDir = path.join(dataDir, config.storage?.processedDir || 'processed');
+        this.failedDir = path.join(dataDir, config.storage?.failedDir || 'failed');
+        this.vaultDir = path.join(dataDir, config.storage?.vaultDir || 'vault');
+        this.redactor = options.redactor || new Redactor(config);
+        this.cipher = options.cipher || new FileCipher(config);
         this.maxPending = config.processing?.maxPendingCandidates || 50;
         
+        // Retry policy
+        this.maxAttempts = config.processing?.maxAttempts || 3;
+        this.backoffBaseMs = (config.processing?.retryBackoffMinutes ?? 5) * 60 * 1000;
+        this.backoffMaxMs = (config.processing?.retryBackoffMaxMinutes ?? 240) * 60 * 1000;
+        
         this._ensureDirs();
     }
     
@@ -27,11 +94,15 @@ class CandidateStore {
         if (!fs.existsSync(this.processedDir)) {
             fs.mkdirSync(this.processedDir, { recursive: true });
         }
+        if (!fs.existsSync(this.failedDir)) {
+            fs.mkdirSync(this.failedDir, { recursive: true });
+        }
     }
     
     /**
      * Write a candidate for later processing.
      * Synchronous, fast (<5ms typically).
+     * Message content is redacted first; `redaction` records which rules fired.
      * 
      * @param {Object} candidate - { timestamp, userId, messages, entropy, metadata }
      * @returns {string} candidate ID
@@ -40,18 +111,29 @@ class CandidateStore {
         const id = `cand_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const filepath = path.join(this.candidatesDir, `${id}.json`);
         
+        const { messages, report, vault } = this.redactor.redactMessages(candidate.messages || []);
+        
         const data = {
             id,
             timestamp: candidate.timestamp || new Date().toISOString(),
             userId: candidate.userId || 'unknown',
             entropy: candidate.entropy || 0,
-            messages: candidate.messages || [],
+            messages,
             metadata: candidate.metadata || {},
+            priority: candidate.priority || 0,
+            redaction: report,
+            attempts: 0,
             written: Date.now()
         };
         
+        // Originals go to the vault (owner-only) so placeholders can be reversed
+        if (Object.keys(vault).length > 0) {
+            fs.mkdirSync(this.vaultDir, { recursive: true, mode: 0o700 });
+            this._writeFile(this._vaultPath(id), vault, { mode: 0o600 });
+        }
+        
         // Synchronous write for speed
-        fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+        this._writeFile(filepath, data);
         
         // Prune if over limit
         this._pruneIfNeeded();
@@ -61,35 +143,191 @@ class CandidateStore {
     
     /**
      * Get pending candidates up to batchSize.
-     * Returns candidates sorted by entropy (highest first) for priority processing.
+     * Returns candidates sorted by priority, then entropy (highest first).
+     * Priority defaults to 0 and is only changed by hand (setPriority).
+     * Candidates still backing off from a failed attempt are skipped.
      * 
      * @param {number} batchSize - Maximum candidates to return
      * @returns {Array<Object>} candidates with their file paths
      */
     getPending(batchSize = 3) {
-        const files = fs.readdirSync(this.candidatesDir)
-            .filter(f => f.endsWith('.json'))
-            .map(f => ({
-                filepath: path.join(this.candidatesDir, f),
-                filename: f
-            }));
+        const now = Date.now();
+        const candidates = this._readDir(this.candidatesDir)
+            .filter(c => !c.nextAttemptAt || c.nextAttemptAt <= now);
         
-        if (files.length === 0) return [];
+        // Sort by priority, then entropy, descending
+        candidates.sort((a, b) => ((b.priority || 0) - (a.priority || 0)) || ((b.entropy || 0) - (a.entropy || 0)));
         
-        // Read and parse, then sort by entropy (highest first)
-        const candidates = files.map(f => {
-            try {
-                const content = fs.readFileSync(f.filepath, 'utf8');
-                return { ...JSON.parse(content), filepath: f.filepath };
-            } catch (e) {
-                return null;
+        return candidates.slice(0, batchSize);
+    }
+    
+    /**
+     * Record a failed processing attempt.
+     * Schedules a retry with exponential backoff, or moves the candidate to the
+     * dead-letter directory once maxAttempts is used up.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @param {Error|string} error - What went wrong
+     * @returns {Object|null} { attempts, deadLettered, nextAttemptAt } or null if not pending
+     */
+    recordFailure(candidateId, error) {
+        const sourcePath = path.join(this.candidatesDir, `${candidateId}.json`);
+        if (!fs.existsSync(sourcePath)) return null;
+        
+        let data;
+        try {
+            data = this._readFile(sourcePath);
+        } catch (e) {
+            return null;
+        }
+        
+        data.attempts = (data.attempts || 0) + 1;
+        data.lastError = (error && error.message) || String(error);
+        data.lastAttemptAt = Date.now();
+        
+        if (data.attempts >= this.maxAttempts) {
+            delete data.nextAttemptAt;
+            data.deadLettered = Date.now();
+            this._writeFile(sourcePath, data);
+            this._move(sourcePath, path.join(this.failedDir, `${candidateId}.json`));
+            return { attempts: data.attempts, deadLettered: true, nextAttemptAt: null };
+        }
+        
+        // Exponential backoff: base, 2x base, 4x base, ... capped
+        const delay = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, data.attempts - 1));
+        data.nextAttemptAt = Date.now() + delay;
+        this._writeFile(sourcePath, data);
+        return { attempts: data.attempts, deadLettered: false, nextAttemptAt: data.nextAttemptAt };
+    }
+    
+    /**
+     * List dead-lettered candidates (most recently failed first).
+     * 
+     * @param {number} limit - Maximum candidates to return
+     */
+    getFailed(limit = 50) {
+        const candidates = this._readDir(this.failedDir);
+        candidates.sort((a, b) => (b.deadLettered || 0) - (a.deadLettered || 0));
+        return candidates.slice(0, limit);
+    }
+    
+    /**
+     * Processed candidates, newest first. Candidates are only kept for a week
+     * (cleanProcessed), so older history is in the ledger alone.
+     * 
+     * @param {Object} filters - { ids, from, to, limit }; from/to (ISO date or epoch ms)
+     *   match the conversation timestamp, inclusive
+     * @returns {Array<Object>} candidates
+     */
+    getProcessed({ ids, from, to, limit = 50 } = {}) {
+        const fromTime = _toTime(from);
+        const toTime = _toTime(to);
+        
+        const candidates = this._readDir(this.processedDir).filter(c => {
+            if (ids && !ids.includes(c.id)) return false;
+            const time = Date.parse(c.timestamp) || c.processed || 0;
+            if (fromTime !== null && time < fromTime) return false;
+            if (toTime !== null && time > toTime) return false;
+            return true;
+        });
+        candidates.sort((a, b) => (Date.parse(b.timestamp) || 0) - (Date.parse(a.timestamp) || 0));
+        return candidates.slice(0, limit);
+    }
+    
+    /**
+     * Record a reprocessing run on a processed candidate.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @param {Object} result - Summary of the new run
+     * @returns {boolean} true if the candidate was updated
+     */
+    markReprocessed(candidateId, result = {}) {
+        const filepath = this._candidatePath(this.processedDir, candidateId);
+        if (!filepath || !fs.existsSync(filepath)) return false;
+        
+        const data = this._readFile(filepath);
+        data.reprocessed = Date.now();
+        data.result = result;
+        this._writeFile(filepath, data);
+        return true;
+    }
+    
+    /**
+     * Move a dead-lettered candidate back to pending with a fresh attempt budget.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @returns {boolean} true if the candidate was requeued
+     */
+    requeue(candidateId) {
+        const sourcePath = this._candidatePath(this.failedDir, candidateId);
+        if (!sourcePath || !fs.existsSync(sourcePath)) return false;
+        
+        try {
+            const data = this._readFile(sourcePath);
+            data.attempts = 0;
+            delete data.nextAttemptAt;
+            delete data.deadLettered;
+            data.requeued = Date.now();
+            this._writeFile(sourcePath, data);
+        } catch (e) {
+            // Best effort — requeue the file as-is
+        }
+        
+        this._move(sourcePath, path.join(this.candidatesDir, `${candidateId}.json`));
+        return true;
+    }
+    
+    /**
+     * Permanently delete a dead-lettered candidate.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @returns {boolean} true if the candidate was deleted
+     */
+    discard(candidateId) {
+        const filepath = this._candidatePath(this.failedDir, candidateId);
+        if (!filepath || !fs.existsSync(filepath)) return false;
+        fs.unlinkSync(filepath);
+        this._removeVault(candidateId);
+        return true;
+    }
+    
+    /**
+     * Find a candidate in pending, processed or failed.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @returns {Object|null} decrypted candidate with `status`, or null if not found
+     */
+    get(candidateId) {
+        const dirs = { pending: this.candidatesDir, processed: this.processedDir, failed: this.failedDir };
+        for (const [status, dir] of Object.entries(dirs)) {
+            const filepath = this._candidatePath(dir, candidateId);
+            if (filepath && fs.existsSync(filepath)) {
+                return { ...this._readFile(filepath), status };
             }
-        }).filter(Boolean);
+        }
+        return null;
+    }
+    
+    /**
+     * Read a candidate (pending, processed or failed) with its placeholders
+     * restored from the vault. For inspection only — never fed back to the LLM.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @returns {Object|null} candidate with original message content, or null if not found
+     */
+    reveal(candidateId) {
+        const data = this.get(candidateId);
+        if (!data) return null;
         
-        // Sort by entropy descending
-        candidates.sort((a, b) => (b.entropy || 0) - (a.entropy || 0));
+        let vault = {};
+        try {
+            vault = this._readFile(this._vaultPath(candidateId));
+        } catch (e) {
+            // Nothing redacted, or not reversible
+        }
         
-        return candidates.slice(0, batchSize);
+        data.messages = (data.messages || []).map(m => ({ ...m, content: Redactor.restore(m.content, vault) }));
+        return data;
     }
     
     /**
@@ -106,24 +344,81 @@ class CandidateStore {
             // Attach result if provided
             if (Object.keys(result).length > 0) {
                 try {
-                    const data = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+                    const data = this._readFile(sourcePath);
                     data.processed = Date.now();
                     data.result = result;
-                    fs.writeFileSync(sourcePath, JSON.stringify(data, null, 2));
+                    this._writeFile(sourcePath, data);
                 } catch (e) {
                     // Best effort
                 }
             }
             
             // Move to processed
-            try {
-                fs.renameSync(sourcePath, destPath);
-            } catch (e) {
-                // If rename fails (cross-device), copy and delete
-                fs.copyFileSync(sourcePath, destPath);
-                fs.unlinkSync(sourcePath);
+            this._move(sourcePath, destPath);
+        }
+    }
+    
+    /**
+     * Move a processed candidate back to pending so it is metabolized again.
+     * The previous result is dropped and the attempt budget reset.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @returns {boolean} true if the candidate was moved
+     */
+    unprocess(candidateId) {
+        const sourcePath = this._candidatePath(this.processedDir, candidateId);
+        if (!sourcePath || !fs.existsSync(sourcePath)) return false;
+        
+        try {
+            const data = this._readFile(sourcePath);
+            data.attempts = 0;
+            delete data.processed;
+            delete data.result;
+            delete data.nextAttemptAt;
+            data.requeued = Date.now();
+            this._writeFile(sourcePath, data);
+        } catch (e) {
+            // Best effort — requeue the file as-is
+        }
+        
+        this._move(sourcePath, path.join(this.candidatesDir, `${candidateId}.json`));
+        return true;
+    }
+    
+    /**
+     * Change a pending candidate's priority. Higher runs first; default is 0.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @param {Object} change - { priority } to set, or { delta } to bump (+) / lower (-)
+     * @returns {number|null} the new priority, or null if the candidate is not pending
+     */
+    setPriority(candidateId, { priority, delta } = {}) {
+        const filepath = this._candidatePath(this.candidatesDir, candidateId);
+        if (!filepath || !fs.existsSync(filepath)) return null;
+        
+        const data = this._readFile(filepath);
+        data.priority = typeof priority === 'number' ? priority : (data.priority || 0) + (delta || 0);
+        this._writeFile(filepath, data);
+        return data.priority;
+    }
+    
+    /**
+     * Delete a candidate wherever it is (pending, processed or failed), vault included.
+     * 
+     * @param {string} candidateId - The candidate ID
+     * @returns {string|null} where it was deleted from ('pending', 'processed', 'failed'), or null
+     */
+    delete(candidateId) {
+        const dirs = { pending: this.candidatesDir, processed: this.processedDir, failed: this.failedDir };
+        for (const [status, dir] of Object.entries(dirs)) {
+            const filepath = this._candidatePath(dir, candidateId);
+            if (filepath && fs.existsSync(filepath)) {
+                fs.unlinkSync(filepath);
+                this._removeVault(candidateId);
+                return status;
             }
         }
+        return null;
     }
     
     /**
@@ -136,6 +431,38 @@ class CandidateStore {
         if (fs.existsSync(filepath)) {
             fs.unlinkSync(filepath);
         }
+        this._removeVault(candidateId);
+    }
+    
+    /**
+     * Rewrite every stored file (candidates, processed, failed, vault) with the
+     * current key. Run after rotating the key or turning encryption on or off.
+     * Files already sealed with the current key are left untouched.
+     * 
+     * @returns {Object} { rewritten, unchanged, failed: [{ file, error }] }
+     */
+    reencrypt() {
+        const result = { rewritten: 0, unchanged: 0, failed: [] };
+        for (const dir of [this.candidatesDir, this.processedDir, this.failedDir, this.vaultDir]) {
+            if (!fs.existsSync(dir)) continue;
+            for (const f of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+                const filepath = path.join(dir, f);
+                try {
+                    const raw = fs.readFileSync(filepath, 'utf8');
+                    if (!this.cipher.needsRewrite(raw)) {
+                        result.unchanged++;
+                        continue;
+                    }
+                    // Atomic, so a crash mid-rotation never leaves a half-written file
+                    writeAtomic(filepath, this.cipher.encode(this.cipher.decode(raw)));
+                    if (dir === this.vaultDir) fs.chmodSync(filepath, 0o600);
+                    result.rewritten++;
+                } catch (error) {
+                    result.failed.push({ file: filepath, error: error.message });
+                }
+            }
+        }
+        return result;
     }
     
     /**
@@ -146,11 +473,99 @@ class CandidateStore {
             .filter(f => f.endsWith('.json')).length;
         const processed = fs.readdirSync(this.processedDir)
             .filter(f => f.endsWith('.json')).length;
-        return { pending, processed };
+        const failed = fs.readdirSync(this.failedDir)
+            .filter(f => f.endsWith('.json')).length;
+        return { pending, processed, failed };
+    }
+    
+    /**
+     * Pending queue health: depth, how many are backing off, and the oldest candidate.
+     * 
+     * @returns {Object} { depth, ready, backingOff, oldestPendingAt, oldestPendingAgeMs }
+     */
+    getQueueInfo() {
+        const now = Date.now();
+        const pending = this._readDir(this.candidatesDir);
+        const backingOff = pending.filter(c => c.nextAttemptAt && c.nextAttemptAt > now).length;
+        const oldest = pending.reduce((min, c) => Math.min(min, c.written || Date.parse(c.timestamp) || now), Infinity);
+        return {
+            depth: pending.length,
+            ready: pending.length - backingOff,
+            backingOff,
+            oldestPendingAt: pending.length > 0 ? new Date(oldest).toISOString() : null,
+            oldestPendingAgeMs: pending.length > 0 ? now - oldest : null
+        };
+    }
+    
+    /**
+     * Read and decrypt (if sealed) one stored file.
+     */
+    _readFile(filepath) {
+        return this.cipher.decode(fs.readFileSync(filepath, 'utf8'));
+    }
+    
+    /**
+     * Write one stored file, encrypted when encryption is enabled.
+     */
+    _writeFile(filepath, data, options) {
+        fs.writeFileSync(filepath, this.cipher.encode(data), options);
+    }
+    
+    /**
+     * Read and parse every candidate file in a directory.
+     */
+    _readDir(dir) {
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => {
+                const filepath = path.join(dir, f);
+                try {
+                    return { ...this._readFile(filepath), filepath };
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+    
+    /**
+     * Move a file, falling back to copy + delete across devices.
+     */
+    _move(sourcePath, destPath) {
+        try {
+            fs.renameSync(sourcePath, destPath);
+        } catch (e) {
+            // If rename fails (cross-device), copy and delete
+            fs.copyFileSync(sourcePath, destPath);
+            fs.unlinkSync(sourcePath);
+        }
     }
     
     /**
-     * Prune oldest candidates if over limit.
+     * Path of a candidate file, or null if the id is not a candidate id.
+     * Ids from gateway params are treated as not found rather than joined blindly.
+     */
+    _candidatePath(dir, candidateId) {
+        return isCandidateId(candidateId) ? path.join(dir, `${candidateId}.json`) : null;
+    }
+    
+    _vaultPath(candidateId) {
+        return path.join(this.vaultDir, `${candidateId}.json`);
+    }
+    
+    /**
+     * Drop the vault entry once its candidate is gone.
+     */
+    _removeVault(candidateId) {
+        try {
+            fs.unlinkSync(this._vaultPath(candidateId));
+        } catch (e) {
+            // No vault entry
+        }
+    }
+    
+    /**
+     * Prune oldest candidates if over limit. Prioritized candidates are pruned last.
      */
     _pruneIfNeeded() {
         const files = fs.readdirSync(this.candidatesDir)
@@ -159,14 +574,24 @@ class CandidateStore {
                 filename: f,
                 filepath: path.join(this.candidatesDir, f),
                 mtime: fs.statSync(path.join(this.candidatesDir, f)).mtime
-            }))
-            .sort((a, b) => b.mtime - a.mtime); // Newest first
+            }));
         
         if (files.length > this.maxPending) {
+            // Only read the files (priority) when we actually have to prune
+            for (const f of files) {
+                try {
+                    f.priority = this._readFile(f.filepath).priority || 0;
+                } catch (e) {
+                    f.priority = 0;
+                }
+            }
+            files.sort((a, b) => (b.priority - a.priority) || (b.mtime - a.mtime)); // Keep first
+            
             const toRemove = files.slice(this.maxPending);
             for (const f of toRemove) {
                 try {
                     fs.unlinkSync(f.filepath);
+                    this._removeVault(path.basename(f.filename, '.json'));
                 } catch (e) {
                     // Best effort
                 }
@@ -189,6 +614,7 @@ class CandidateStore {
                 const stat = fs.statSync(filepath);
                 if (stat.mtime.getTime() < cutoff) {
                     fs.unlinkSync(filepath);
+                    this._removeVault(path.basename(f, '.json'));
                     removed++;
                 }
             } catch (e) {
@@ -200,4 +626,7 @@ class CandidateStore {
     }
 }
 
+CandidateStore.parseTranscript = parseTranscript;
+CandidateStore.isCandidateId = isCandidateId;
+
 module.exports = CandidateStore;
\ No newline at end of file
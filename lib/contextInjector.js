@@ -0,0 +1,224 @@
+/**
+ * Context Injector - Bring relevant learned implications back into the agent's context
+ *
+ * Design principles:
+ * - Opt-in and small: a compact note under a token budget, or nothing
+ * - The ledger is the source: what this agent learned, for this user, recently
+ * - Score = recency (half-life decay) + growth vector weight + match with the current prompt
+ * - Never in the way: a slow embedding match falls back to keywords, errors inject nothing
+ */
+
+const { estimateTokens } = require('./batchPacker');
+
+const MATCHES = ['keywords', 'embedding'];
+const SCOPES = ['user', 'agent'];
+
+const DEFAULT_WEIGHTS = { recency: 0.3, weight: 0.2, relevance: 0.5 };
+const DEFAULT_HEADER = '[Metabolism] Learned in earlier conversations (use only where it helps):';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frequent words that would otherwise count as a match (4+ letters; shorter words are ignored anyway)
+const DEFAULT_STOPWORDS = {
+    en: ['that', 'this', 'with', 'from', 'have', 'when', 'what', 'which', 'there', 'their', 'they', 'them', 'then', 'than',
+        'would', 'should', 'could', 'about', 'into', 'more', 'some', 'user', 'users', 'assistant', 'always', 'also', 'just'],
+    de: ['dass', 'diese', 'dieser', 'dieses', 'mit', 'wenn', 'aber', 'oder', 'auch', 'noch', 'nicht', 'eine', 'einen', 'einer',
+        'sich', 'sind', 'wird', 'werden', 'haben', 'sollte', 'immer', 'nutzer', 'benutzer']
+};
+
+class ContextInjector {
+    /**
+     * @param {Object} config - Plugin config (reads config.injection)
+     * @param {Object} options - { dedup } for near-duplicates and embeddings
+     */
+    constructor(config, options = {}) {
+        const injection = config.injection || {};
+        this.enabled = Boolean(injection.enabled);
+        this.tokenBudget = injection.tokenBudget ?? 200;
+        this.maxItems = injection.maxItems ?? 5;
+        this.lookbackDays = injection.lookbackDays ?? 30;
+        this.poolSize = injection.poolSize ?? 200;
+        this.halfLifeDays = injection.halfLifeDays ?? 7;
+        this.match = injection.match || 'keywords';
+        this.minRelevance = injection.minRelevance ?? 0.2;
+        this.scope = injection.scope || 'user';
+        this.weights = { ...DEFAULT_WEIGHTS, ...(injection.weights || {}) };
+        this.header = injection.header || DEFAULT_HEADER;
+        this.timeoutMs = injection.timeoutMs ?? 1500;
+        this.stopwords = new Set(Object.values(injection.stopwords || DEFAULT_STOPWORDS).flat().map(w => _stem(w)));
+        this.dedup = options.dedup;
+    }
+
+    /**
+     * Config problems. Empty when valid.
+     */
+    validate() {
+        const errors = [];
+        if (!MATCHES.includes(this.match)) {
+            errors.push(`match must be one of: ${MATCHES.join(', ')}`);
+        } else if (this.match === 'embedding' && !this.dedup?.embedder) {
+            errors.push('match "embedding" needs dedup.method "embedding" (it reuses that embeddings provider)');
+        }
+        if (!SCOPES.includes(this.scope)) {
+            errors.push(`scope must be one of: ${SCOPES.join(', ')}`);
+        }
+        if (!(this.tokenBudget > estimateTokens(this.header))) {
+            errors.push('tokenBudget must leave room after the header');
+        }
+        return errors;
+    }
+
+    /**
+     * Ledger filters for the pool of implications to choose from.
+     *
+     * @param {string} userId
+     * @param {number} now - epoch ms
+     */
+    poolQuery(userId, now = Date.now()) {
+        return {
+            type: ['implication', 'growthVector', 'feedback'],
+            ...(this.scope === 'user' ? { userId } : {}),
+            from: now - this.lookbackDays * DAY_MS,
+            limit: this.poolSize * 2
+        };
+    }
+
+    /**
+     * Turn ledger entries into pool items: one per implication, carrying the
+     * weight of the growth vector made from it (tensions and plain implications
+     * fall back to their confidence, or 0.5). Implications the user rejected are
+     * left out; a confirmation's weight replaces the vector's.
+     *
+     * @param {Array<Object>} entries - Ledger entries, newest first
+     * @returns {Array<Object>} [{ text, timestamp, weight, candidateId, category }]
+     */
+    pool(entries) {
+        const weights = new Map();
+        for (const e of entries.filter(e => e.type === 'growthVector')) {
+            weights.set(`${e.candidateId}\u0000${e.text}`, e.weight);
+        }
+        // Newest first, so the latest verdict per implication wins
+        const verdicts = new Map();
+        for (const e of entries.filter(e => e.type === 'feedback')) {
+            const key = `${e.candidateId}\u0000${e.target}`;
+            if (!verdicts.has(key)) verdicts.set(key, e);
+        }
+        for (const [key, e] of verdicts) {
+            if (e.verdict === 'confirmed' && typeof e.weight === 'number') weights.set(key, e.weight);
+        }
+        return entries
+            .filter(e => e.type === 'implication' && verdicts.get(`${e.candidateId}\u0000${e.text}`)?.verdict !== 'rejected')
+            .slice(0, this.poolSize)
+            .map(e => ({
+                text: e.text,
+                timestamp: e.timestamp,
+                weight: weights.get(`${e.candidateId}\u0000${e.text}`) ?? e.confidence ?? 0.5,
+                candidateId: e.candidateId,
+                category: e.category || null
+            }));
+    }
+
+    /**
+     * Rank pool items for a prompt and keep what fits the budget.
+     *
+     * @param {Array<Object>} items - From pool()
+     * @param {string} topic - The current prompt or last user message
+     * @param {number} now - epoch ms
+     * @returns {Promise<Object>} { note, tokens, items: [{ text, score, recency, weight, relevance, ... }], match }
+     */
+    async select(items, topic, now = Date.now()) {
+        if (items.length === 0 || !topic) return { note: null, tokens: 0, items: [], match: this.match };
+
+        let match = this.match;
+        let relevance = null;
+        if (match === 'embedding') {
+            relevance = await this._embeddingRelevance(items, topic);
+            if (!relevance) match = 'keywords';
+        }
+        if (!relevance) relevance = items.map(item => this.keywordRelevance(topic, item.text));
+
+        const ranked = items
+            .map((item, i) => {
+                const ageDays = Math.max(0, now - Date.parse(item.timestamp)) / DAY_MS;
+                const recency = Math.pow(0.5, ageDays / this.halfLifeDays);
+                const score = this.weights.recency * recency + this.weights.weight * item.weight + this.weights.relevance * relevance[i];
+                return {
+                    ...item,
+                    recency: Number(recency.toFixed(3)),
+                    relevance: Number(relevance[i].toFixed(3)),
+                    score: Number(score.toFixed(3))
+                };
+            })
+            .filter(item => item.relevance >= this.minRelevance)
+            .sort((a, b) => b.score - a.score);
+
+        // The same lesson learned twice is injected once (best-scored copy wins)
+        const distinct = this.dedup ? this.dedup.dedupeImplications(ranked) : ranked;
+
+        const lines = [];
+        const chosen = [];
+        let tokens = estimateTokens(this.header);
+        for (const item of distinct) {
+            if (chosen.length >= this.maxItems) break;
+            const line = `- ${item.text}`;
+            const cost = estimateTokens(line) + 1;
+            if (tokens + cost > this.tokenBudget) continue;
+            lines.push(line);
+            chosen.push(item);
+            tokens += cost;
+        }
+
+        return {
+            note: chosen.length > 0 ? [this.header, ...lines].join('\n') : null,
+            tokens: chosen.length > 0 ? tokens : 0,
+            items: chosen,
+            match
+        };
+    }
+
+    /**
+     * Share of the implication's content words (or their 5-letter stems) that
+     * appear in the topic. 0..1; short words are ignored.
+     */
+    keywordRelevance(topic, text) {
+        const wanted = new Set([..._stems(text)].filter(stem => !this.stopwords.has(stem)));
+        if (wanted.size === 0) return 0;
+        const present = _stems(topic);
+        let hits = 0;
+        for (const stem of wanted) if (present.has(stem)) hits++;
+        return hits / wanted.size;
+    }
+
+    async _embeddingRelevance(items, topic) {
+        let timer;
+        try {
+            return await Promise.race([
+                Promise.all(items.map(async item => Math.max(0, await this.dedup.similarityAsync(topic, item.text)))),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`no answer within ${this.timeoutMs}ms`)), this.timeoutMs);
+                    timer.unref?.();
+                })
+            ]);
+        } catch (error) {
+            console.warn('[Metabolism] Embedding match unavailable, using keywords:', error.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+function _stem(word) {
+    return String(word).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().slice(0, 5);
+}
+
+function _stems(text) {
+    const words = String(text || '').split(/[^\p{L}\p{N}]+/u).filter(w => w.length >= 4);
+    return new Set(words.map(_stem));
+}
+
+ContextInjector.MATCHES = MATCHES;
+ContextInjector.SCOPES = SCOPES;
+ContextInjector.DEFAULT_STOPWORDS = DEFAULT_STOPWORDS;
+
+module.exports = ContextInjector;
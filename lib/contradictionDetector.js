@@ -0,0 +1,296 @@
+/**
+ * Contradiction Detector - Notice when a new growth vector contradicts an existing one
+ *
+ * Design principles:
+ * - Only vectors of the same agent and user are compared, and tensions not at all
+ * - Heuristics first: same topic (shared content words) and flipped polarity (one negated,
+ *   or an antonym pair like short/long), but not both flips, which cancel out
+ * - The frame of a lesson ("User wants ...", "Vector prefers ...") is not its topic: two lessons
+ *   only share a topic if they share what they are about
+ * - An optional LLM judge decides for pairs that share a topic; failing it, the heuristic verdict stands
+ * - A contradiction is linked on both sides (conflictsWith) and turned into something a later
+ *   stage can resolve: a high-priority knowledge gap or a principle tension vector
+ */
+
+const structuredOutput = require('./structuredOutput');
+
+const METHODS = ['heuristic', 'llm'];
+const RESOLUTIONS = ['gap', 'tension'];
+
+const DEFAULT_NEGATIONS = {
+    en: ['not', 'no', 'never', 'without', 'nothing', 'neither', 'nor'],
+    de: ['nicht', 'nie', 'niemals', 'kein', 'keine', 'keinen', 'keiner', 'ohne', 'nichts']
+};
+
+// Pairs of opposites; either word of a pair may appear in either vector
+const DEFAULT_ANTONYMS = {
+    en: [['concrete', 'open'], ['concrete', 'abstract'], ['short', 'long'], ['brief', 'detailed'], ['concise', 'detailed'],
+        ['formal', 'casual'], ['formal', 'informal'], ['simple', 'complex'], ['fast', 'slow'],
+        ['likes', 'dislikes'], ['loves', 'hates'], ['prefers', 'avoids'], ['wants', 'avoids'],
+        ['direct', 'indirect'], ['quiet', 'loud']],
+    de: [['konkret', 'offen'], ['kurz', 'lang'], ['kurz', 'ausführlich'], ['knapp', 'ausführlich'], ['formell', 'locker'],
+        ['einfach', 'komplex'], ['schnell', 'langsam'], ['mag', 'hasst'],
+        ['bevorzugt', 'vermeidet'], ['direkt', 'indirekt']]
+};
+
+// Words that say nothing about the topic
+const STOPWORDS = ['the', 'and', 'for', 'with', 'that', 'this', 'than', 'when', 'what', 'from', 'into', 'over', 'about',
+    'does', 'did', 'are', 'was', 'were', 'will', 'would', 'should', 'could', 'been', 'has', 'have', 'had', 'very', 'also',
+    'der', 'die', 'das', 'und', 'mit', 'für', 'bei', 'wenn', 'dass', 'ist', 'sind', 'wird', 'hat', 'ein', 'eine', 'einen',
+    'auch', 'sehr', 'als', 'oder', 'aber'];
+
+// Who and how, not what: "User wants more examples" and "User wants less jargon" share no topic
+const FRAME_WORDS = ['user', 'users', 'person', 'nutzer', 'benutzer', 'nutzerin',
+    'wants', 'prefers', 'likes', 'dislikes', 'loves', 'hates', 'avoids', 'needs', 'expects', 'asks', 'values',
+    'appreciates', 'responds', 'works', 'finds', 'gets', 'better', 'worse',
+    'will', 'möchte', 'mag', 'bevorzugt', 'vermeidet', 'braucht', 'erwartet', 'schätzt', 'liebt', 'hasst',
+    'arbeitet', 'reagiert', 'findet', 'besser', 'schlechter'].map(w => _stem(w));
+
+class ContradictionDetector {
+    /**
+     * @param {Object} config - Plugin config (reads config.contradictions)
+     */
+    constructor(config) {
+        const contradictions = config.contradictions || {};
+        this.enabled = contradictions.enabled !== false;
+        this.method = contradictions.method || 'heuristic';
+        this.resolution = contradictions.resolution || 'gap';
+        this.minOverlap = contradictions.minOverlap ?? 0.4;
+        this.maxCompared = contradictions.maxCompared ?? 200;
+        this.maxJudged = contradictions.maxJudged ?? 10;
+
+        // Languages listed in config replace the defaults for that language
+        const negations = { ...DEFAULT_NEGATIONS, ...(contradictions.negations || {}) };
+        const antonyms = { ...DEFAULT_ANTONYMS, ...(contradictions.antonyms || {}) };
+        this.errors = [];
+        this.negations = new Set();
+        for (const [language, list] of Object.entries(negations)) {
+            if (!Array.isArray(list)) {
+                this.errors.push(`negations.${language} must be an array of words`);
+                continue;
+            }
+            for (const word of list) this.negations.add(_normalize(word));
+        }
+        this.antonyms = [];
+        for (const [language, list] of Object.entries(antonyms)) {
+            if (!Array.isArray(list) || list.some(pair => !Array.isArray(pair) || pair.length !== 2)) {
+                this.errors.push(`antonyms.${language} must be an array of [word, opposite] pairs`);
+                continue;
+            }
+            for (const [a, b] of list) this.antonyms.push([_stem(_normalize(a)), _stem(_normalize(b))]);
+        }
+    }
+
+    /**
+     * Config problems. Empty when valid.
+     */
+    validate() {
+        const errors = [...this.errors];
+        if (!METHODS.includes(this.method)) {
+            errors.push(`method must be one of: ${METHODS.join(', ')}`);
+        }
+        if (!RESOLUTIONS.includes(this.resolution)) {
+            errors.push(`resolution must be one of: ${RESOLUTIONS.join(', ')}`);
+        }
+        if (!(this.minOverlap > 0 && this.minOverlap <= 1)) {
+            errors.push('minOverlap must be above 0 and at most 1');
+        }
+        return errors;
+    }
+
+    /**
+     * Heuristic comparison of two texts.
+     *
+     * @param {string} textA
+     * @param {string} textB
+     * @param {Object} options - { subject: the user's id or name, part of the frame rather than the topic }
+     * @returns {Object} { topic (shared content-word overlap 0..1), contradicts, kind: 'negation'|'antonym'|null, detail }
+     */
+    compare(textA, textB, { subject } = {}) {
+        const frame = new Set(FRAME_WORDS);
+        for (const word of _normalize(subject).split(/[^\p{L}\p{N}]+/u).filter(Boolean)) frame.add(_stem(word));
+        const a = this._analyze(textA, frame);
+        const b = this._analyze(textB, frame);
+        const pair = this.antonyms.find(([x, y]) =>
+            (a.words.has(x) && !a.words.has(y) && b.words.has(y) && !b.words.has(x)) ||
+            (a.words.has(y) && !a.words.has(x) && b.words.has(x) && !b.words.has(y))
+        );
+
+        // The opposites themselves are not the shared topic
+        const topicA = [...a.topic].filter(stem => !pair?.includes(stem));
+        const topicB = new Set([...b.topic].filter(stem => !pair?.includes(stem)));
+        const shared = topicA.filter(stem => topicB.has(stem)).length;
+        const union = new Set([...topicA, ...topicB]).size;
+        const topic = union > 0 ? Number((shared / union).toFixed(3)) : 0;
+
+        const negationFlip = a.negated !== b.negated;
+        // "not open" and "concrete" agree: two flips cancel out
+        const contradicts = topic >= this.minOverlap && negationFlip !== Boolean(pair);
+        return {
+            topic,
+            contradicts,
+            kind: contradicts ? (pair ? 'antonym' : 'negation') : null,
+            detail: contradicts ? (pair ? pair.join('/') : 'negation') : null
+        };
+    }
+
+    /**
+     * Contradictions between newly written vectors and the rest of the file.
+     *
+     * @param {Array<Object>} added - Vectors just written
+     * @param {Object} doc - growth-vectors.json document (candidates and promoted vectors)
+     * @param {Object} options - { complete: async (prompt) => text } for method "llm"
+     * @returns {Promise<Array<Object>>} [{ vector, existing, kind, detail, topic, judgedBy, reason }]
+     */
+    async find(added, doc, { complete } = {}) {
+        const pool = [...(doc.candidates || []), ...(doc.vectors || [])]
+            .filter(v => v && v.text && v.type !== 'principle_tension' && v.userId)
+            .sort((x, y) => (Date.parse(y.timestamp) || 0) - (Date.parse(x.timestamp) || 0))
+            .slice(0, this.maxCompared);
+
+        const conflicts = [];
+        const seen = new Set();
+        let judged = 0;
+        for (const vector of added.filter(v => v.type !== 'principle_tension' && v.userId)) {
+            for (const existing of pool) {
+                if (existing.id === vector.id) continue;
+                if ((existing.agentId || 'main') !== (vector.agentId || 'main') || existing.userId !== vector.userId) continue;
+                if ((existing.conflictsWith || []).includes(vector.id) || (vector.conflictsWith || []).includes(existing.id)) continue;
+                const key = [vector.id, existing.id].sort().join('\u0000');
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                const heuristic = this.compare(vector.text, existing.text, { subject: vector.userId });
+                let verdict = { contradicts: heuristic.contradicts, judgedBy: 'heuristic', reason: heuristic.detail };
+                if (this.method === 'llm' && complete && heuristic.topic >= this.minOverlap && judged < this.maxJudged) {
+                    judged++;
+                    verdict = (await this._judge(vector.text, existing.text, complete)) || verdict;
+                }
+                if (!verdict.contradicts) continue;
+
+                conflicts.push({
+                    vector,
+                    existing,
+                    kind: heuristic.kind || 'judged',
+                    detail: heuristic.detail,
+                    topic: heuristic.topic,
+                    judgedBy: verdict.judgedBy,
+                    reason: verdict.reason || null
+                });
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * Link both sides of each contradiction. Runs inside a locked update;
+     * vectors no longer in the file are skipped.
+     *
+     * @returns {number} links added
+     */
+    link(doc, conflicts) {
+        const all = [...(doc.candidates || []), ...(doc.vectors || [])];
+        let linked = 0;
+        for (const { vector, existing } of conflicts) {
+            for (const [from, to] of [[vector.id, existing.id], [existing.id, vector.id]]) {
+                const entry = all.find(v => v.id === from);
+                if (!entry || (entry.conflictsWith || []).includes(to)) continue;
+                entry.conflictsWith = [...(entry.conflictsWith || []), to];
+                linked++;
+            }
+        }
+        return linked;
+    }
+
+    /**
+     * A high-priority knowledge gap asking which of the two holds.
+     */
+    toGap(conflict) {
+        const { vector, existing } = conflict;
+        return {
+            question: `"${vector.text}" contradicts the earlier "${existing.text}". Which holds, and when?`,
+            source: 'metabolism:contradiction-detector',
+            sourceId: vector.sourceId || null,
+            timestamp: new Date().toISOString(),
+            origin: 'contradiction',
+            novelty: 1,
+            priority: 'high',
+            ...(conflict.reason ? { context: conflict.reason } : {}),
+            conflict: { vectorIds: [vector.id, existing.id], kind: conflict.kind, judgedBy: conflict.judgedBy }
+        };
+    }
+
+    /**
+     * A principle tension vector holding both sides, like the tensions the model reports.
+     */
+    toTension(conflict) {
+        const { vector, existing } = conflict;
+        return {
+            id: `gv_tension_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            text: `"${vector.text}" vs. "${existing.text}"`,
+            type: 'principle_tension',
+            source: 'metabolism:contradiction-detector',
+            sourceId: vector.sourceId || null,
+            userId: vector.userId,
+            timestamp: new Date().toISOString(),
+            entropy: 0.9,
+            validation_status: 'candidate',
+            weight: 0.95,
+            priority: 150,
+            conflictsWith: [vector.id, existing.id]
+        };
+    }
+
+    /**
+     * Prompt for the LLM judge.
+     */
+    buildPrompt(textA, textB) {
+        return `Two lessons an AI assistant learned about the same person. Do they contradict each other,
+so that both cannot guide the assistant at the same time? Lessons that apply to different situations do not contradict.
+
+A: ${textA}
+B: ${textB}
+
+Respond with ONLY a JSON object: {"contradicts": true | false, "reason": "<one short sentence>"}`;
+    }
+
+    async _judge(textA, textB, complete) {
+        try {
+            const json = structuredOutput.extractJson(await complete(this.buildPrompt(textA, textB)));
+            const value = json ? JSON.parse(json) : null;
+            if (!value || typeof value.contradicts !== 'boolean') return null;
+            return { contradicts: value.contradicts, judgedBy: 'llm', reason: typeof value.reason === 'string' ? value.reason : null };
+        } catch (error) {
+            console.warn('[Metabolism] Contradiction judge failed, using heuristics:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Object} { negated, words (all stems, for antonyms), topic (content stems, frame left out) }
+     */
+    _analyze(text, frame) {
+        const tokens = _normalize(text).split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+        const isNegation = w => this.negations.has(w) || w.endsWith("n't");
+        const negated = tokens.filter(isNegation).length % 2 === 1;
+        const words = new Set(tokens.filter(w => w.length >= 3 && !STOPWORDS.includes(w) && !isNegation(w)).map(_stem));
+        return { negated, words, topic: new Set([...words].filter(stem => !frame.has(stem))) };
+    }
+}
+
+function _normalize(text) {
+    return String(text || '').toLowerCase().replace(/[\u2018\u2019]/g, "'");
+}
+
+// 5-letter stems, plural/third-person s dropped: "wants" and "want" compare equal
+function _stem(word) {
+    const plain = word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    return (plain.length > 4 && plain.endsWith('s') ? plain.slice(0, -1) : plain).slice(0, 5);
+}
+
+ContradictionDetector.METHODS = METHODS;
+ContradictionDetector.RESOLUTIONS = RESOLUTIONS;
+ContradictionDetector.DEFAULT_NEGATIONS = DEFAULT_NEGATIONS;
+ContradictionDetector.DEFAULT_ANTONYMS = DEFAULT_ANTONYMS;
+
+module.exports = ContradictionDetector;
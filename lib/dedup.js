@@ -0,0 +1,232 @@
+/**
+ * Deduplicator - Merge near-duplicate implications and growth vectors
+ *
+ * Design principles:
+ * - The same lesson learned five times is one vector reinforced five times
+ * - Cheap by default (normalized hash + token/trigram similarity, no network)
+ * - Embeddings are optional and degrade to trigram similarity when unavailable
+ */
+
+const crypto = require('crypto');
+const { createProvider } = require('./llmProvider');
+
+const DEFAULT_THRESHOLDS = {
+    hash: 1,
+    jaccard: 0.7,
+    trigram: 0.75,
+    embedding: 0.9
+};
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace.
+ * Umlauts survive as their base letter, so "prüfen" and "prufen" match.
+ */
+function normalize(text) {
+    return String(text || '')
+        .replace(/^\[TENSION\]:\s*/, '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function hash(text) {
+    return crypto.createHash('sha1').update(normalize(text)).digest('hex');
+}
+
+function _jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let intersection = 0;
+    for (const item of a) if (b.has(item)) intersection++;
+    return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Token-set Jaccard similarity (0..1).
+ */
+function tokenJaccard(a, b) {
+    return _jaccard(new Set(normalize(a).split(' ').filter(Boolean)), new Set(normalize(b).split(' ').filter(Boolean)));
+}
+
+function _trigrams(text) {
+    const padded = `  ${normalize(text)} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+}
+
+/**
+ * Character-trigram Jaccard similarity (0..1). Tolerant of inflection and typos.
+ */
+function trigramSimilarity(a, b) {
+    return _jaccard(_trigrams(a), _trigrams(b));
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+class Deduplicator {
+    constructor(config) {
+        const dedup = config.dedup || {};
+        this.enabled = dedup.enabled !== false;
+        this.method = dedup.method || 'trigram';
+        this.threshold = dedup.threshold ?? DEFAULT_THRESHOLDS[this.method] ?? DEFAULT_THRESHOLDS.trigram;
+        this.fuzzyThreshold = DEFAULT_THRESHOLDS.trigram;
+        this.weightBoost = dedup.weightBoost ?? 0.05;
+        this.maxWeight = dedup.maxWeight ?? 0.99;
+
+        // Optional embeddings provider (e.g. local Ollama nomic-embed-text)
+        this.embedder = null;
+        this._embeddingCache = new Map();
+        if (this.method === 'embedding') {
+            this.embedder = createProvider({ provider: 'ollama', model: 'nomic-embed-text', ...(dedup.embeddings || {}) });
+        }
+    }
+
+    /**
+     * Synchronous similarity for the configured method.
+     * Embedding mode uses trigram similarity here (see similarityAsync).
+     */
+    similarity(a, b) {
+        if (this.method === 'hash') return hash(a) === hash(b) ? 1 : 0;
+        if (this.method === 'jaccard') return tokenJaccard(a, b);
+        return trigramSimilarity(a, b);
+    }
+
+    _syncThreshold() {
+        return this.method === 'embedding' ? this.fuzzyThreshold : this.threshold;
+    }
+
+    /**
+     * Similarity using embeddings when configured, falling back to the sync method.
+     */
+    async similarityAsync(a, b) {
+        if (!this.embedder) return this.similarity(a, b);
+        const [ea, eb] = await Promise.all([this._embed(a), this._embed(b)]);
+        return cosine(ea, eb);
+    }
+
+    async _embed(text) {
+        const key = hash(text);
+        if (!this._embeddingCache.has(key)) {
+            // Bound the cache — growth-vectors.json rarely holds more than a few hundred entries
+            if (this._embeddingCache.size > 2000) this._embeddingCache.clear();
+            this._embeddingCache.set(key, await this.embedder.embed(normalize(text)));
+        }
+        return this._embeddingCache.get(key);
+    }
+
+    /**
+     * Drop near-duplicate implications within one LLM response (first occurrence wins).
+     *
+     * @param {Array<string|Object>} implications - Strings or structured details ({ text })
+     */
+    dedupeImplications(implications) {
+        if (!this.enabled) return implications;
+        const kept = [];
+        for (const imp of implications) {
+            const text = typeof imp === 'string' ? imp : imp.text;
+            const isDuplicate = kept.some(k => this.similarity(typeof k === 'string' ? k : k.text, text) >= this._syncThreshold());
+            if (!isDuplicate) kept.push(imp);
+        }
+        return kept;
+    }
+
+    /**
+     * Find the closest existing vector at or above threshold.
+     *
+     * @returns {Promise<Object|null>} { vector, score } or null
+     */
+    async findMatch(text, pool) {
+        let best = null;
+        for (const vector of pool) {
+            let score;
+            try {
+                score = await this.similarityAsync(text, vector.text);
+            } catch (error) {
+                console.warn('[Metabolism] Embedding similarity failed, using trigram:', error.message);
+                this.embedder = null;
+                score = trigramSimilarity(text, vector.text);
+            }
+            const threshold = this.embedder ? this.threshold : this._syncThreshold();
+            if (score >= threshold && (!best || score > best.score)) {
+                best = { vector, score };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Merge new growth vectors into a growth-vectors.json document in place.
+     * Near-duplicates reinforce the existing entry instead of adding a new one.
+     * Only entries from the same agent are compared, and tensions only match tensions.
+     *
+     * @param {Object} existing - { vectors: [...], candidates: [...] }
+     * @param {Array<Object>} vectors - New vectors (already tagged with agentId)
+     * @returns {Promise<Object>} { added: [...], merged: [{ id, into, score }] }
+     */
+    async mergeInto(existing, vectors) {
+        existing.candidates = existing.candidates || [];
+        const added = [];
+        const merged = [];
+
+        for (const v of vectors) {
+            if (!this.enabled) {
+                existing.candidates.push(v);
+                added.push(v);
+                continue;
+            }
+
+            const isTension = v.type === 'principle_tension';
+            const pool = [...existing.candidates, ...(existing.vectors || [])].filter(e =>
+                e && e.text &&
+                (e.agentId || 'main') === (v.agentId || 'main') &&
+                (e.type === 'principle_tension') === isTension
+            );
+
+            const match = await this.findMatch(v.text, pool);
+            if (!match) {
+                existing.candidates.push(v);
+                added.push(v);
+                continue;
+            }
+
+            this._reinforce(match.vector, v, existing.candidates.includes(match.vector));
+            merged.push({ id: v.id, into: match.vector.id, score: Number(match.score.toFixed(3)) });
+        }
+
+        return { added, merged };
+    }
+
+    /**
+     * Bump reinforcement on an existing vector. Weight only moves on candidates —
+     * promoted vectors belong to the stability plugin.
+     */
+    _reinforce(target, incoming, isCandidate) {
+        target.reinforcementCount = (target.reinforcementCount || 1) + 1;
+        target.lastReinforced = new Date().toISOString();
+        target.reinforcedBy = [...(target.reinforcedBy || []), incoming.sourceId].filter(Boolean).slice(-20);
+        if (isCandidate) {
+            target.weight = Math.min(this.maxWeight, (target.weight || 0.7) + this.weightBoost);
+            target.entropy = Math.max(target.entropy || 0, incoming.entropy || 0);
+        }
+    }
+}
+
+Deduplicator.normalize = normalize;
+Deduplicator.hash = hash;
+Deduplicator.tokenJaccard = tokenJaccard;
+Deduplicator.trigramSimilarity = trigramSimilarity;
+
+module.exports = Deduplicator;
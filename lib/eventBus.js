@@ -0,0 +1,198 @@
+/**
+ * Event Bus - Typed, versioned events for other plugins on global.__ocMetabolism
+ *
+ * Design principles:
+ * - The subscriber registry is an array on the shared global, so subscriptions survive a
+ *   re-registration and a plugin that loads first can leave entries behind
+ * - A fixed set of named events, each with a documented payload
+ * - Versions are negotiated once per subscriber: it lists what it understands and gets the
+ *   highest version both sides speak, or a clear error instead of payloads it can't read
+ * - Handlers are isolated: they run after the emitting code has moved on, get a frozen copy,
+ *   and a throw or rejection is logged and counted, never seen by the pipeline or other handlers
+ */
+
+// Payload version this build emits, and every version it can still emit
+const VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// event -> fields every payload carries (agentId is on the envelope)
+const EVENTS = {
+    'candidate.queued': ['candidateId', 'userId', 'reason', 'entropy'],
+    'candidate.processed': ['candidateId', 'userId', 'implications', 'growthVectors', 'gaps'],
+    implication: ['candidateId', 'text', 'type', 'tension'],
+    growthVector: ['candidateId', 'vector', 'status'],
+    gap: ['candidateId', 'gap'],
+    procedural: ['candidateId', 'text', 'vectorId', 'procedure', 'status'],
+    feedback: ['candidateId', 'implication', 'vectorId', 'verdict', 'status', 'text']
+};
+
+const WILDCARD = '*';
+
+class EventBus {
+    /**
+     * @param {Array<Object>} registry - Shared subscriber list ({ id, event, handler, versions })
+     * @param {Object} options - { logger, onError: (event, subscriberId, error) => void }
+     */
+    constructor(registry = [], options = {}) {
+        this.registry = registry;
+        this.logger = options.logger || console;
+        this.onError = options.onError || null;
+        this.sequence = 0;
+    }
+
+    /**
+     * Highest version both sides speak, or null.
+     *
+     * @param {Array<number>|number} versions - Versions the subscriber understands
+     * @returns {number|null}
+     */
+    negotiate(versions) {
+        const accepted = [].concat(versions ?? VERSION).map(Number);
+        const common = SUPPORTED_VERSIONS.filter(v => accepted.includes(v));
+        return common.length > 0 ? Math.max(...common) : null;
+    }
+
+    /**
+     * Subscribe to one event, or to every event with '*'.
+     *
+     * @param {string} event
+     * @param {Function} handler - (envelope) => void | Promise
+     * @param {Object} options - { id, versions } (versions defaults to the current one)
+     * @returns {Function} unsubscribe
+     */
+    subscribe(event, handler, options = {}) {
+        if (event !== WILDCARD && !EVENTS[event]) {
+            throw new Error(`Unknown event "${event}" (expected ${Object.keys(EVENTS).join(', ')} or ${WILDCARD})`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error('handler must be a function');
+        }
+        const version = this.negotiate(options.versions);
+        if (version === null) {
+            throw new Error(
+                `No common event version: subscriber accepts ${[].concat(options.versions).join(', ')}, ` +
+                `metabolism emits ${SUPPORTED_VERSIONS.join(', ')}`
+            );
+        }
+
+        const entry = {
+            id: options.id || `sub_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            event,
+            handler,
+            versions: options.versions,
+            version,
+            errors: 0
+        };
+        this.registry.push(entry);
+        return () => this.unsubscribe(entry.id);
+    }
+
+    /**
+     * Remove subscriptions by id or by handler.
+     *
+     * @returns {number} subscriptions removed
+     */
+    unsubscribe(idOrHandler) {
+        let removed = 0;
+        for (let i = this.registry.length - 1; i >= 0; i--) {
+            const entry = this.registry[i];
+            if (entry && (entry.id === idOrHandler || entry.handler === idOrHandler)) {
+                this.registry.splice(i, 1);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Publish an event. Never throws; a payload missing its fields is logged and dropped.
+     *
+     * @param {string} event
+     * @param {string} agentId
+     * @param {Object} data - Payload (see EVENTS)
+     * @returns {number} handlers scheduled
+     */
+    emit(event, agentId, data = {}) {
+        const fields = EVENTS[event];
+        const missing = fields ? fields.filter(f => !(f in data)) : [];
+        if (!fields || missing.length > 0) {
+            this.logger.error(`[Metabolism] Not emitting ${event}: ${fields ? `missing ${missing.join(', ')}` : 'unknown event'}`);
+            return 0;
+        }
+
+        const subscribers = this.registry.filter(entry => this._accept(entry) && (entry.event === event || entry.event === WILDCARD));
+        if (subscribers.length === 0) return 0;
+
+        const envelope = _deepFreeze({
+            id: `evt_${Date.now()}_${++this.sequence}`,
+            event,
+            version: VERSION,
+            agentId,
+            timestamp: new Date().toISOString(),
+            data: JSON.parse(JSON.stringify(data))
+        });
+
+        for (const entry of subscribers) {
+            Promise.resolve()
+                .then(() => entry.handler(envelope))
+                .catch(error => {
+                    entry.errors = (entry.errors || 0) + 1;
+                    this.logger.warn(`[Metabolism] Event handler "${entry.id}" failed on ${event}:`, error?.message || error);
+                    if (this.onError) this.onError(event, entry.id, error);
+                });
+        }
+        return subscribers.length;
+    }
+
+    /**
+     * Subscriber overview for getState.
+     */
+    stats() {
+        const byEvent = {};
+        let errors = 0;
+        for (const entry of this.registry) {
+            if (!entry) continue;
+            byEvent[entry.event] = (byEvent[entry.event] || 0) + 1;
+            errors += entry.errors || 0;
+        }
+        return { version: VERSION, subscribers: this.registry.length, byEvent, handlerErrors: errors };
+    }
+
+    /**
+     * Entries pushed straight into the registry (before this plugin loaded) are
+     * negotiated the first time they would receive an event. Unusable ones are
+     * logged once and skipped.
+     */
+    _accept(entry) {
+        if (!entry || entry.rejected) return false;
+        if (entry.version) return true;
+
+        const valid = typeof entry.handler === 'function' && (entry.event === WILDCARD || EVENTS[entry.event]);
+        const version = valid ? this.negotiate(entry.versions) : null;
+        if (version === null) {
+            entry.rejected = true;
+            this.logger.warn(`[Metabolism] Ignoring event subscription "${entry.id || entry.event}": ` +
+                (valid ? `no common version (accepts ${[].concat(entry.versions).join(', ')})` : 'unknown event or no handler'));
+            return false;
+        }
+        entry.id = entry.id || `sub_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        entry.version = version;
+        entry.errors = entry.errors || 0;
+        return true;
+    }
+}
+
+function _deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        for (const child of Object.values(value)) _deepFreeze(child);
+    }
+    return value;
+}
+
+EventBus.VERSION = VERSION;
+EventBus.SUPPORTED_VERSIONS = SUPPORTED_VERSIONS;
+EventBus.EVENTS = Object.keys(EVENTS);
+EventBus.WILDCARD = WILDCARD;
+
+module.exports = EventBus;
@@ -0,0 +1,200 @@
+/**
+ * Feedback Detector - Let users confirm or reject what the agent learned, in conversation
+ *
+ * Design principles:
+ * - Cheap enough for the fast path: only the phrase check runs there; matching against the
+ *   ledger and applying the verdict happen on the slow path
+ * - Language is data: confirm/reject phrases per language, replaceable from config
+ * - A phrase alone changes nothing; it must refer to a recent implication (the user's turn and
+ *   the assistant turn before it are matched against what was learned with this user)
+ * - Promoted vectors belong to the stability plugin; feedback on them is recorded, not applied
+ */
+
+const VERDICTS = ['confirmed', 'rejected'];
+
+// Rejection phrases are checked first, so "das stimmt nicht" never reads as "das stimmt"
+const DEFAULT_PHRASES = {
+    reject: {
+        en: ["that's wrong", 'that is wrong', "that's not right", 'that is not right', "that's not true", 'that is not true',
+            "that's not what i meant", 'forget that', 'forget it', "don't learn that", 'do not learn that',
+            "don't remember that", 'do not remember that', 'wrong lesson'],
+        de: ['das stimmt nicht', 'stimmt so nicht', 'das ist falsch', 'vergiss das', 'vergiss es', 'falsch verstanden',
+            'merk dir das nicht', 'das hast du falsch gelernt']
+    },
+    confirm: {
+        en: ["that's right", 'that is right', "that's correct", 'that is correct', 'exactly right', 'spot on',
+            'you got it', 'remember that', 'keep that in mind', 'good lesson'],
+        de: ['das stimmt', 'genau richtig', 'richtig erkannt', 'gut erkannt', 'merk dir das', 'behalte das']
+    }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class FeedbackDetector {
+    /**
+     * @param {Object} config - Plugin config (reads config.feedback)
+     * @param {Object} options - { relevance: (topic, text) => 0..1 }
+     */
+    constructor(config, options = {}) {
+        const feedback = config.feedback || {};
+        this.enabled = Boolean(feedback.enabled);
+        this.lookbackHours = feedback.lookbackHours ?? 72;
+        this.poolSize = feedback.poolSize ?? 50;
+        this.minRelevance = feedback.minRelevance ?? 0.3;
+        this.confirmBoost = feedback.confirmBoost ?? 0.1;
+        this.maxWeight = feedback.maxWeight ?? 0.99;
+        this.recordCorrections = feedback.recordCorrections !== false;
+        this.correctionPriority = feedback.correctionPriority ?? 1;
+        this.relevance = options.relevance;
+
+        // Languages listed in config replace the default phrases for that verdict and language
+        const phrases = feedback.phrases || {};
+        this.phrases = {
+            reject: _compile({ ...DEFAULT_PHRASES.reject, ...(phrases.reject || {}) }),
+            confirm: _compile({ ...DEFAULT_PHRASES.confirm, ...(phrases.confirm || {}) })
+        };
+    }
+
+    /**
+     * Config problems. Empty when valid.
+     */
+    validate() {
+        const errors = [];
+        for (const verdict of ['reject', 'confirm']) {
+            if (this.phrases[verdict].some(p => !p.phrase)) {
+                errors.push(`phrases.${verdict} must map languages to arrays of non-empty phrases`);
+            }
+        }
+        if (!(this.minRelevance > 0 && this.minRelevance <= 1)) {
+            errors.push('minRelevance must be above 0 and at most 1 (0 would apply feedback to unrelated lessons)');
+        }
+        if (!(this.confirmBoost >= 0 && this.maxWeight > 0 && this.maxWeight <= 1)) {
+            errors.push('confirmBoost must be 0 or more and maxWeight between 0 and 1');
+        }
+        return errors;
+    }
+
+    /**
+     * Does this user turn confirm or reject something?
+     *
+     * @param {string} text - The user's message
+     * @returns {Object|null} { verdict: 'confirmed'|'rejected', phrase, language }
+     */
+    detect(text) {
+        const normalized = _normalize(text);
+        if (!normalized) return null;
+        for (const [key, verdict] of [['reject', 'rejected'], ['confirm', 'confirmed']]) {
+            const hit = this.phrases[key].find(p => p.regex && p.regex.test(normalized));
+            if (hit) return { verdict, phrase: hit.phrase, language: hit.language };
+        }
+        return null;
+    }
+
+    /**
+     * Ledger filters for the lessons feedback may refer to.
+     *
+     * @param {string} userId
+     * @param {number} now - epoch ms
+     */
+    poolQuery(userId, now = Date.now()) {
+        return {
+            type: ['implication', 'growthVector', 'feedback'],
+            userId,
+            from: now - this.lookbackHours * HOUR_MS,
+            limit: this.poolSize * 3
+        };
+    }
+
+    /**
+     * The recent implication the feedback refers to: the best match with the
+     * conversation, newest first on ties. Implications the user already
+     * rejected are skipped.
+     *
+     * @param {string} topic - The user's turn and the assistant turn before it
+     * @param {Array<Object>} entries - Ledger entries from poolQuery(), newest first
+     * @returns {Object|null} { implication, vector, relevance } (vector: its growthVector entry, or null)
+     */
+    match(topic, entries) {
+        const rejected = new Set(entries
+            .filter(e => e.type === 'feedback' && e.verdict === 'rejected')
+            .map(e => _key(e.candidateId, e.target)));
+
+        let best = null;
+        for (const entry of entries.filter(e => e.type === 'implication' && !e.tension).slice(0, this.poolSize)) {
+            if (rejected.has(_key(entry.candidateId, entry.text))) continue;
+            const relevance = this.relevance(topic, entry.text);
+            if (relevance < this.minRelevance || (best && relevance <= best.relevance)) continue;
+            best = { implication: entry, relevance };
+        }
+        if (!best) return null;
+
+        const vector = entries.find(e =>
+            e.type === 'growthVector' && e.candidateId === best.implication.candidateId && e.text === best.implication.text
+        ) || null;
+        return { ...best, relevance: Number(best.relevance.toFixed(3)), vector };
+    }
+
+    /**
+     * Apply a verdict to growth-vectors.json. Confirmed candidates gain weight;
+     * rejected ones move to a `rejected` list. Runs inside a locked update.
+     *
+     * @param {Object} doc - growth-vectors.json document
+     * @param {string} vectorId
+     * @param {Object} feedback - { verdict, text, at }
+     * @returns {Object} { status: 'updated'|'rejected'|'protected'|'missing', weight }
+     */
+    applyToVectors(doc, vectorId, { verdict, text, at }) {
+        doc.candidates = doc.candidates || [];
+        const index = doc.candidates.findIndex(v => v.id === vectorId);
+        if (index === -1) {
+            const promoted = (doc.vectors || []).some(v => v.id === vectorId);
+            return { status: promoted ? 'protected' : 'missing', weight: null };
+        }
+
+        const vector = doc.candidates[index];
+        const userFeedback = [...(vector.userFeedback || []), { verdict, text, at }].slice(-10);
+        if (verdict === 'confirmed') {
+            vector.weight = Number(Math.min(this.maxWeight, (vector.weight ?? 0.7) + this.confirmBoost).toFixed(3));
+            vector.userFeedback = userFeedback;
+            return { status: 'updated', weight: vector.weight };
+        }
+
+        doc.candidates.splice(index, 1);
+        doc.rejected = doc.rejected || [];
+        doc.rejected.push({ ...vector, validation_status: 'rejected', rejectedAt: at, rejectedBy: 'user', userFeedback });
+        return { status: 'rejected', weight: vector.weight ?? null };
+    }
+}
+
+function _compile(byLanguage) {
+    const compiled = [];
+    for (const [language, list] of Object.entries(byLanguage)) {
+        for (const phrase of Array.isArray(list) ? list : [null]) {
+            const text = typeof phrase === 'string' ? _normalize(phrase) : '';
+            compiled.push({
+                language,
+                phrase: text || null,
+                // Whole words only: "forget it" must not match "forget items"
+                regex: text ? new RegExp(`(^|[^\\p{L}\\p{N}])${_escape(text)}($|[^\\p{L}\\p{N}])`, 'u') : null
+            });
+        }
+    }
+    return compiled;
+}
+
+function _normalize(text) {
+    return String(text || '').toLowerCase().replace(/[\u2018\u2019]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function _escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function _key(candidateId, text) {
+    return `${candidateId}\u0000${text}`;
+}
+
+FeedbackDetector.VERDICTS = VERDICTS;
+FeedbackDetector.DEFAULT_PHRASES = DEFAULT_PHRASES;
+
+module.exports = FeedbackDetector;
@@ -0,0 +1,185 @@
+/**
+ * File Cipher - Optional AES-256-GCM encryption at rest for candidate files
+ *
+ * Design principles:
+ * - Off by default; when on, candidate, processed, failed and vault files are sealed
+ * - Keys come from the environment or a key file, never from plugin config
+ * - Plaintext and old-key files stay readable, so turning encryption on or
+ *   rotating the key is a re-encrypt pass rather than a flag day
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Parse a 32-byte key given as 64 hex chars or base64.
+ *
+ * @throws if the value is not a 32-byte key
+ */
+function parseKey(value) {
+    const trimmed = String(value || '').trim();
+    if (/^[0-9a-fA-F]{64}$/.test(trimmed)) return Buffer.from(trimmed, 'hex');
+    const decoded = Buffer.from(trimmed, 'base64');
+    if (decoded.length === 32) return decoded;
+    throw new Error('encryption key must be 32 bytes, as 64 hex characters or base64');
+}
+
+/**
+ * Short, non-secret key identifier stored in each envelope.
+ */
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+class FileCipher {
+    /**
+     * @param {Object} config - Plugin config (reads config.encryption)
+     * @param {Object} env - Environment (process.env)
+     */
+    constructor(config, env = process.env) {
+        const encryption = config.encryption || {};
+        this.enabled = encryption.enabled === true;
+        this.errors = [];
+        this.key = null;
+        this.keys = new Map(); // kid -> key, current and previous
+
+        // Keys are loaded even when disabled, so files sealed earlier stay readable
+        const current = this._loadKey(encryption.keyEnv, encryption.keyFile, env);
+        if (current) {
+            this.key = current;
+            this.keys.set(keyId(current), current);
+        } else if (this.enabled) {
+            this.errors.push(
+                `encryption is enabled but no key was found (set ${encryption.keyEnv || 'encryption.keyEnv'} or encryption.keyFile)`
+            );
+        }
+
+        // Previous keys decrypt files written before a rotation
+        const previous = [];
+        if (encryption.previousKeysEnv && env[encryption.previousKeysEnv]) {
+            previous.push(...env[encryption.previousKeysEnv].split(',').filter(k => k.trim()));
+        }
+        for (const file of encryption.previousKeyFiles || []) {
+            try {
+                previous.push(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                this.errors.push(`cannot read previous key file ${file}: ${error.message}`);
+            }
+        }
+        for (const value of previous) {
+            try {
+                const key = parseKey(value);
+                this.keys.set(keyId(key), key);
+            } catch (error) {
+                this.errors.push(`previous key: ${error.message}`);
+            }
+        }
+    }
+
+    _loadKey(keyEnv, keyFile, env) {
+        let value = keyEnv ? env[keyEnv] : null;
+        if (!value && keyFile) {
+            try {
+                value = fs.readFileSync(keyFile, 'utf8');
+            } catch (error) {
+                this.errors.push(`cannot read key file ${keyFile}: ${error.message}`);
+                return null;
+            }
+        }
+        if (!value) return null;
+        try {
+            return parseKey(value);
+        } catch (error) {
+            this.errors.push(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Config problems (missing or malformed keys). Empty when valid.
+     */
+    validate() {
+        return [...this.errors];
+    }
+
+    get keyId() {
+        return this.key ? keyId(this.key) : null;
+    }
+
+    static isEnvelope(doc) {
+        return Boolean(doc && typeof doc === 'object' && doc.enc === ALGORITHM && doc.data);
+    }
+
+    /**
+     * Serialize a document for disk: an encrypted envelope when enabled, pretty JSON otherwise.
+     *
+     * @param {Object} doc - Document to store
+     * @returns {string} File contents
+     */
+    encode(doc) {
+        const json = JSON.stringify(doc, null, 2);
+        if (!this.enabled || !this.key) return json;
+
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const data = Buffer.concat([cipher.update(json, 'utf8'), cipher.final()]);
+        return JSON.stringify({
+            enc: ALGORITHM,
+            kid: this.keyId,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        });
+    }
+
+    /**
+     * Parse file contents, decrypting envelopes with the current or a previous key.
+     * Plaintext JSON is returned as-is.
+     *
+     * @param {string} raw - File contents
+     * @returns {Object} Document
+     * @throws if the envelope's key is unknown or authentication fails
+     */
+    decode(raw) {
+        const doc = JSON.parse(raw);
+        if (!FileCipher.isEnvelope(doc)) return doc;
+
+        const key = this.keys.get(doc.kid);
+        if (!key) {
+            throw new Error(`no key available for encrypted file (key id ${doc.kid})`);
+        }
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(doc.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(doc.tag, 'base64'));
+        const json = Buffer.concat([decipher.update(Buffer.from(doc.data, 'base64')), decipher.final()]).toString('utf8');
+        return JSON.parse(json);
+    }
+
+    /**
+     * Does this file need rewriting to match the current setting and key?
+     */
+    needsRewrite(raw) {
+        let doc;
+        try {
+            doc = JSON.parse(raw);
+        } catch (e) {
+            return false;
+        }
+        if (!FileCipher.isEnvelope(doc)) return this.enabled;
+        return !this.enabled || doc.kid !== this.keyId;
+    }
+
+    /**
+     * Generate a fresh key (hex), e.g. for `node -e` setup instructions.
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+}
+
+FileCipher.ALGORITHM = ALGORITHM;
+FileCipher.parseKey = parseKey;
+
+module.exports = FileCipher;
@@ -0,0 +1,158 @@
+/**
+ * Gap Extractor - Knowledge gaps for contemplative inquiry
+ *
+ * Design principles:
+ * - Ask first: the model lists its open questions (JSON field or [QUESTION] lines)
+ * - Uncertainty lexicons per language catch what the model left implicit
+ * - Rank by novelty against gaps already recorded, so the same question isn't asked every day
+ * - Every gap carries the conversation excerpt it came from
+ */
+
+const DEFAULT_LEXICONS = {
+    en: ['unclear', 'not sure', 'figure out', 'explore', 'unknown', 'open question', 'i wonder', 'unresolved'],
+    de: ['unklar', 'nicht sicher', 'herausfinden', 'erkunden', 'unbekannt', 'offene frage', 'frage mich', 'ungeklärt', 'unsicher']
+};
+
+// Appended to the line-based format instructions when gaps.askModel is on
+const TEXT_INSTRUCTION = `If something stayed unresolved — a question worth thinking about later — add it on its own line starting with [QUESTION]: (at most two).`;
+
+const QUESTION_LINE = /^\[QUESTION\]:?\s*(.+)$/i;
+
+class GapExtractor {
+    /**
+     * @param {Object} config - Plugin config (reads config.gaps)
+     * @param {Object} options - { dedup } for similarity
+     */
+    constructor(config, options = {}) {
+        const gaps = config.gaps || {};
+        this.askModel = gaps.askModel !== false;
+        this.maxPerCandidate = gaps.maxPerCandidate ?? 2;
+        this.minNovelty = gaps.minNovelty ?? 0.35;
+        this.excerptChars = gaps.excerptChars || 400;
+        this.lexicons = gaps.lexicons || DEFAULT_LEXICONS;
+        this.dedup = options.dedup;
+    }
+
+    /**
+     * Config problems. Empty when valid.
+     */
+    validate() {
+        const errors = [];
+        for (const [language, terms] of Object.entries(this.lexicons)) {
+            if (!Array.isArray(terms) || terms.some(t => typeof t !== 'string')) {
+                errors.push(`lexicons.${language} must be an array of strings`);
+            }
+        }
+        if (this.minNovelty < 0 || this.minNovelty > 1) {
+            errors.push('minNovelty must be between 0 and 1');
+        }
+        return errors;
+    }
+
+    /**
+     * [QUESTION] lines from a line-based response.
+     *
+     * @param {string} response
+     * @returns {Array<string>}
+     */
+    questionsFromText(response) {
+        if (!response || typeof response !== 'string') return [];
+        return response.split('\n')
+            .map(line => line.trim().match(QUESTION_LINE))
+            .filter(Boolean)
+            .map(match => match[1].trim());
+    }
+
+    /**
+     * Language whose uncertainty lexicon matches the text, or null.
+     * A question mark counts in any language.
+     */
+    uncertaintyLanguage(text) {
+        const lower = String(text || '').toLowerCase();
+        for (const [language, terms] of Object.entries(this.lexicons)) {
+            if (terms.some(t => lower.includes(t.toLowerCase()))) return language;
+        }
+        return lower.includes('?') ? 'any' : null;
+    }
+
+    /**
+     * Build, rank and cap the gaps for one candidate.
+     *
+     * @param {Array<Object>} details - Structured implication details
+     * @param {Object} candidate - Source candidate (for id and excerpt)
+     * @param {Array<string>} openQuestions - Top-level questions from the model
+     * @param {Array<string>} history - Questions of gaps recorded earlier
+     * @returns {Array<Object>} gaps, most novel first
+     */
+    extract(details, candidate, openQuestions = [], history = []) {
+        const found = [];
+        for (const d of details) {
+            for (const q of d.openQuestions || []) found.push({ question: q, context: d.text, origin: 'model' });
+        }
+        for (const q of openQuestions || []) found.push({ question: q, origin: 'model' });
+        for (const d of details) {
+            const language = this.uncertaintyLanguage(d.text);
+            if (language) found.push({ question: d.text, origin: 'lexicon', language });
+        }
+
+        const threshold = 1 - this.minNovelty;
+        const kept = [];
+        for (const gap of found) {
+            // Repeats within the candidate, then against history
+            if (kept.some(k => this._similarity(k.question, gap.question) >= threshold)) continue;
+            const closest = history.reduce((max, past) => Math.max(max, this._similarity(past, gap.question)), 0);
+            const novelty = Number((1 - closest).toFixed(2));
+            if (novelty < this.minNovelty) continue;
+            kept.push({ ...gap, novelty });
+        }
+
+        // Stable sort: on equal novelty the model's own questions stay ahead
+        kept.sort((a, b) => b.novelty - a.novelty);
+        return kept.slice(0, this.maxPerCandidate).map(gap => ({
+            question: gap.question,
+            source: 'metabolism',
+            sourceId: candidate.id,
+            timestamp: new Date().toISOString(),
+            origin: gap.origin,
+            ...(gap.language ? { language: gap.language } : {}),
+            novelty: gap.novelty,
+            ...(gap.context ? { context: gap.context } : {}),
+            excerpt: this.excerpt(`${gap.question} ${gap.context || ''}`, candidate.messages)
+        }));
+    }
+
+    /**
+     * The message that best supports a gap, as "role: text", trimmed to excerptChars.
+     * Falls back to the last user message when nothing overlaps.
+     */
+    excerpt(text, messages = []) {
+        const usable = (messages || []).filter(m => _messageText(m));
+        if (usable.length === 0) return null;
+
+        let best = null;
+        for (const message of usable) {
+            const score = this._similarity(text, _messageText(message));
+            if (!best || score > best.score) best = { message, score };
+        }
+        const message = best.score > 0
+            ? best.message
+            : [...usable].reverse().find(m => m.role === 'user') || usable[usable.length - 1];
+
+        const content = _messageText(message).replace(/\s+/g, ' ').trim();
+        const clipped = content.length > this.excerptChars ? `${content.slice(0, this.excerptChars - 1)}…` : content;
+        return `${message.role || 'user'}: ${clipped}`;
+    }
+
+    _similarity(a, b) {
+        return this.dedup ? this.dedup.similarity(a, b) : (a === b ? 1 : 0);
+    }
+}
+
+function _messageText(message) {
+    return message?.content || message?.text || message?.message || '';
+}
+
+GapExtractor.DEFAULT_LEXICONS = DEFAULT_LEXICONS;
+GapExtractor.TEXT_INSTRUCTION = TEXT_INSTRUCTION;
+
+module.exports = GapExtractor;
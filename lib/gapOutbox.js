@@ -0,0 +1,160 @@
+/**
+ * Gap Outbox - Durable, per-subscriber delivery of knowledge gaps
+ *
+ * Design principles:
+ * - Gaps are persisted before anyone is told about them; a missing or failing listener loses nothing
+ * - Delivery is tracked per subscriber id, so a late subscriber gets what it missed
+ * - At-least-once: a gap counts as delivered when the listener acknowledges it, and is retried until then
+ * - Bounded: old entries are pruned by age and count, delivered or not
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic, withLock } = require('./atomicFile');
+
+const STATUSES = ['open', 'delivered', 'all'];
+
+class GapOutbox {
+    /**
+     * @param {string} filePath - Path to the agent's gap-outbox.json
+     * @param {Object} options - { cipher, agentId, retentionDays, maxGaps, maxAttempts, retryMinutes }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.cipher = options.cipher || null;
+        this.agentId = options.agentId || 'main';
+        this.retentionDays = options.retentionDays ?? 14;
+        this.maxGaps = options.maxGaps ?? 500;
+        this.maxAttempts = options.maxAttempts ?? 5;
+        this.retryMinutes = options.retryMinutes ?? 5;
+    }
+
+    /**
+     * Persist new gaps. Each gets an outbox id, also set on the gap itself.
+     *
+     * @param {Array<Object>} gaps
+     * @returns {Promise<Array<Object>>} outbox entries
+     */
+    async enqueue(gaps) {
+        if (!gaps || gaps.length === 0) return [];
+        const now = Date.now();
+        const entries = gaps.map((gap, i) => {
+            const id = `gap_${now}_${Math.random().toString(36).substr(2, 6)}_${i}`;
+            return { id, gap: { id, ...gap, agentId: this.agentId }, createdAt: now, deliveries: {} };
+        });
+        await this._update(doc => {
+            doc.gaps.push(...entries);
+            this._prune(doc, now);
+        });
+        return entries;
+    }
+
+    /**
+     * Entries a subscriber has not acknowledged and may receive now
+     * (not in retry backoff, attempts left), oldest first.
+     *
+     * @param {string} subscriberId
+     * @returns {Array<Object>}
+     */
+    pendingFor(subscriberId, now = Date.now()) {
+        return this._read().gaps.filter(entry => {
+            const delivery = entry.deliveries[subscriberId];
+            if (!delivery) return true;
+            if (delivery.ackedAt) return false;
+            if (delivery.attempts >= this.maxAttempts) return false;
+            return !delivery.nextAttemptAt || delivery.nextAttemptAt <= now;
+        });
+    }
+
+    /**
+     * Record the outcome of one delivery to one subscriber.
+     *
+     * @param {string} subscriberId
+     * @param {Array<string>} gapIds - Entries that were handed to the listener
+     * @param {Error|string|null} error - null when the listener acknowledged
+     */
+    async recordDelivery(subscriberId, gapIds, error = null) {
+        const now = Date.now();
+        await this._update(doc => {
+            for (const entry of doc.gaps) {
+                if (!gapIds.includes(entry.id)) continue;
+                const delivery = entry.deliveries[subscriberId] || { attempts: 0 };
+                delivery.attempts++;
+                delivery.lastAttemptAt = now;
+                if (error) {
+                    delivery.lastError = error.message || String(error);
+                    delivery.nextAttemptAt = now + this.retryMinutes * 60 * 1000;
+                } else {
+                    delivery.ackedAt = now;
+                    delete delivery.lastError;
+                    delete delivery.nextAttemptAt;
+                }
+                entry.deliveries[subscriberId] = delivery;
+            }
+        });
+    }
+
+    /**
+     * Browse the outbox, newest first.
+     *
+     * @param {Object} filters - { status: 'open'|'delivered'|'all', subscriberId, subscribers, limit }
+     *   open: not yet acknowledged by every subscriber in `subscribers` (or by `subscriberId`);
+     *   with no subscribers at all, every gap is open
+     * @returns {Object} { total, gaps: [{ ...gap, createdAt, deliveries }] }
+     */
+    list({ status = 'open', subscriberId, subscribers = [], limit = 50 } = {}) {
+        const audience = subscriberId ? [subscriberId] : subscribers;
+        const isDelivered = (entry) => audience.length > 0 &&
+            audience.every(id => entry.deliveries[id]?.ackedAt);
+
+        const matches = this._read().gaps
+            .filter(entry => status === 'all' || (status === 'delivered') === isDelivered(entry))
+            .reverse();
+
+        return {
+            total: matches.length,
+            gaps: matches.slice(0, limit).map(entry => ({
+                ...entry.gap,
+                createdAt: new Date(entry.createdAt).toISOString(),
+                deliveries: entry.deliveries
+            }))
+        };
+    }
+
+    /**
+     * Rewrite the outbox with the current encryption setting and key.
+     *
+     * @returns {Promise<Object>} { rewritten }
+     */
+    async reencrypt() {
+        if (!fs.existsSync(this.filePath)) return { rewritten: 0 };
+        await this._update(() => {});
+        return { rewritten: 1 };
+    }
+
+    _prune(doc, now) {
+        const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+        doc.gaps = doc.gaps.filter(entry => entry.createdAt >= cutoff).slice(-this.maxGaps);
+    }
+
+    _read() {
+        if (!fs.existsSync(this.filePath)) return { gaps: [] };
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        const doc = this.cipher ? this.cipher.decode(raw) : JSON.parse(raw);
+        return { ...doc, gaps: Array.isArray(doc.gaps) ? doc.gaps : [] };
+    }
+
+    async _update(mutator) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        return withLock(this.filePath, () => {
+            const doc = this._read();
+            const result = mutator(doc);
+            writeAtomic(this.filePath, this.cipher ? this.cipher.encode(doc) : JSON.stringify(doc, null, 2));
+            return result;
+        });
+    }
+}
+
+GapOutbox.STATUSES = STATUSES;
+
+module.exports = GapOutbox;
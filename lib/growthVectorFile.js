@@ -0,0 +1,123 @@
+/**
+ * Growth Vector File - Safe read-modify-write of the shared growth-vectors.json
+ *
+ * Design principles:
+ * - The file is shared (stability plugin, other gateway instances): lock, then write atomically
+ * - Never wipe vectors on a bad parse — back up the corrupt file before starting over
+ * - Versioned format with forward migrations; refuse to touch a file from a newer version
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic, withLock } = require('./atomicFile');
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Version 0 = legacy files written before schemaVersion existed.
+ */
+const MIGRATIONS = {
+    0: (doc) => ({
+        ...doc,
+        vectors: Array.isArray(doc.vectors) ? doc.vectors : [],
+        candidates: Array.isArray(doc.candidates) ? doc.candidates : [],
+        schemaVersion: 1
+    })
+};
+
+// A concurrent non-atomic writer may leave a half-written file for a moment
+const PARSE_RETRY_DELAY_MS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class GrowthVectorFile {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.lockOptions = {
+            timeoutMs: options.lockTimeoutMs,
+            staleMs: options.staleLockMs
+        };
+    }
+
+    /**
+     * Bring a parsed document up to SCHEMA_VERSION.
+     *
+     * @throws if the document is from a newer, unknown version
+     */
+    static migrate(doc) {
+        let current = doc && typeof doc === 'object' && !Array.isArray(doc) ? doc : {};
+        let version = current.schemaVersion || 0;
+
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`growth-vectors.json schemaVersion ${version} is newer than supported (${SCHEMA_VERSION})`);
+        }
+        while (version < SCHEMA_VERSION) {
+            current = MIGRATIONS[version](current);
+            version = current.schemaVersion;
+        }
+        return current;
+    }
+
+    static empty() {
+        return { schemaVersion: SCHEMA_VERSION, vectors: [], candidates: [] };
+    }
+
+    /**
+     * Read and migrate the document (no lock — for inspection only).
+     * A corrupt file is backed up and an empty document returned.
+     */
+    async read() {
+        if (!fs.existsSync(this.filePath)) return GrowthVectorFile.empty();
+
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        try {
+            return GrowthVectorFile.migrate(JSON.parse(raw));
+        } catch (error) {
+            if (error instanceof SyntaxError) {
+                // Give a concurrent writer a moment to finish, then try once more
+                await sleep(PARSE_RETRY_DELAY_MS);
+                const retry = fs.readFileSync(this.filePath, 'utf8');
+                try {
+                    return GrowthVectorFile.migrate(JSON.parse(retry));
+                } catch (retryError) {
+                    if (!(retryError instanceof SyntaxError)) throw retryError;
+                    const backup = this._backupCorrupt(retry);
+                    console.warn(`[Metabolism] growth-vectors.json is corrupt (${retryError.message}); backed up to ${backup}`);
+                    return GrowthVectorFile.empty();
+                }
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Locked read-modify-write. The mutator receives the migrated document,
+     * edits it in place (may be async), and its return value is passed through.
+     *
+     * @param {Function} mutator - async (doc) => result
+     * @returns {Promise<*>} mutator's result
+     */
+    async update(mutator) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        return withLock(this.filePath, async () => {
+            const doc = await this.read();
+            const result = await mutator(doc);
+            doc.schemaVersion = SCHEMA_VERSION;
+            writeAtomic(this.filePath, JSON.stringify(doc, null, 2));
+            return result;
+        }, this.lockOptions);
+    }
+
+    _backupCorrupt(contents) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = `${this.filePath}.corrupt-${stamp}`;
+        fs.writeFileSync(backupPath, contents);
+        return backupPath;
+    }
+}
+
+GrowthVectorFile.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = GrowthVectorFile;
@@ -0,0 +1,283 @@
+/**
+ * Ledger - Append-only history of everything metabolism extracted
+ *
+ * Design principles:
+ * - One JSONL file per agent; lines are only ever appended (one locked write per candidate)
+ * - Each entry stands alone: text, kind, source candidate, user, model, prompt version, time
+ * - Outlives the candidates — processed/ is cleaned after a week, the ledger is not
+ * - Sealed per line when encryption at rest is enabled
+ * - Parsed once: entries are cached, and a later read only parses the lines appended since
+ *   (the file is never trimmed, so re-reading it whole would grow with every batch)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic, withLock } = require('./atomicFile');
+
+const ENTRY_TYPES = ['implication', 'growthVector', 'gap', 'feedback'];
+
+function _toTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+class Ledger {
+    /**
+     * @param {string} filePath - Path to the agent's ledger.jsonl
+     * @param {Object} options - { cipher, agentId }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.cipher = options.cipher || null;
+        this.agentId = options.agentId || 'main';
+        // { ino, offset, entries, skipped }: what has been parsed so far
+        this._cache = null;
+    }
+
+    /**
+     * Build ledger entries for one processed candidate.
+     *
+     * @param {Object} record - processBatch() `processed` entry (`reprocessed`: mode, for reprocessing runs)
+     * @param {Object} written - writeGrowthVectors() result ({ merged }) or null
+     * @param {Object} review - { held: ReviewQueue.hold() result, suppressed } when vectors went to review, or null
+     * @returns {Array<Object>} entries
+     */
+    entriesFor(record, written = null, review = null) {
+        const recordedAt = new Date().toISOString();
+        const base = {
+            agentId: this.agentId,
+            userId: record.userId || 'unknown',
+            candidateId: record.id,
+            candidateTimestamp: record.timestamp,
+            provider: record.llm?.provider || null,
+            model: record.llm?.model || null,
+            promptVersion: record.promptVersion || null,
+            timestamp: recordedAt,
+            ...(record.reprocessed ? { reprocessed: record.reprocessed } : {})
+        };
+        const mergedInto = new Map([...(written?.merged || []), ...(review?.held?.merged || [])].map(m => [m.id, m.into]));
+        const held = new Set((review?.held?.added || []).map(v => v.id));
+        const suppressedBy = new Map((review?.suppressed || []).map(s => [s.id, s.rejectedId]));
+        const batchId = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        const entryId = (prefix, i) => `${prefix}_${batchId}_${i}`;
+
+        const entries = [];
+        (record.details || []).forEach((detail, i) => {
+            entries.push({
+                id: entryId('imp', i),
+                type: 'implication',
+                text: detail.text,
+                category: detail.type || null,
+                confidence: detail.confidence ?? null,
+                tension: Boolean(detail.tension),
+                ...base
+            });
+        });
+        (record.growthVectors || []).forEach((vector, i) => {
+            entries.push({
+                id: entryId('vec', i),
+                type: 'growthVector',
+                text: vector.text,
+                category: vector.type,
+                vectorId: vector.id,
+                weight: vector.weight,
+                ...(vector.classifiedBy ? { classifiedBy: vector.classifiedBy, typeConfidence: vector.typeConfidence } : {}),
+                ...(mergedInto.has(vector.id) ? { mergedInto: mergedInto.get(vector.id) } : {}),
+                ...(held.has(vector.id) ? { review: 'pending' } : {}),
+                ...(suppressedBy.has(vector.id) ? { suppressedBy: suppressedBy.get(vector.id) } : {}),
+                ...(vector.conflictsWith ? { conflictsWith: vector.conflictsWith } : {}),
+                ...base
+            });
+        });
+        (record.gaps || []).forEach((gap, i) => {
+            entries.push({
+                id: entryId('gap', i),
+                type: 'gap',
+                text: gap.question,
+                ...(gap.context ? { context: gap.context } : {}),
+                ...(gap.excerpt ? { excerpt: gap.excerpt } : {}),
+                ...(gap.novelty !== undefined ? { novelty: gap.novelty, origin: gap.origin } : {}),
+                ...(gap.priority ? { priority: gap.priority } : {}),
+                ...base
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Append entries in one write. Holds the ledger lock so an append can never
+     * land in the middle of a re-encryption rewrite.
+     *
+     * @param {Array<Object>} entries
+     */
+    async append(entries) {
+        if (!entries || entries.length === 0) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const lines = entries.map(e => this._encodeLine(e)).join('\n') + '\n';
+        await withLock(this.filePath, () => fs.appendFileSync(this.filePath, lines));
+    }
+
+    /**
+     * Record a processed candidate.
+     *
+     * @returns {Promise<number>} entries written
+     */
+    async record(record, written = null, review = null) {
+        const entries = this.entriesFor(record, written, review);
+        await this.append(entries);
+        return entries.length;
+    }
+
+    /**
+     * Record a user's confirmation or rejection of an earlier implication.
+     * The entry carries the source candidate of the implication, so queries
+     * by candidateId show what became of it.
+     *
+     * @param {Object} feedback - { verdict, text (the user's wording), implication (ledger entry),
+     *   vectorId, status, weight, relevance, correctionId }
+     * @returns {Promise<Object>} the entry
+     */
+    async recordFeedback(feedback) {
+        const entry = {
+            id: `fb_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            type: 'feedback',
+            verdict: feedback.verdict,
+            text: feedback.text,
+            target: feedback.implication.text,
+            vectorId: feedback.vectorId || null,
+            status: feedback.status,
+            ...(feedback.weight !== null && feedback.weight !== undefined ? { weight: feedback.weight } : {}),
+            relevance: feedback.relevance,
+            ...(feedback.correctionId ? { correctionId: feedback.correctionId } : {}),
+            agentId: this.agentId,
+            userId: feedback.implication.userId || 'unknown',
+            candidateId: feedback.implication.candidateId,
+            timestamp: new Date().toISOString()
+        };
+        await this.append([entry]);
+        return entry;
+    }
+
+    /**
+     * Read every entry (oldest first). Unreadable lines are skipped and counted.
+     *
+     * @returns {Object} { entries, skipped }
+     */
+    readAll() {
+        const { entries, skipped } = this._load();
+        return { entries: entries.slice(), skipped };
+    }
+
+    /**
+     * The cached entries, brought up to date with what was appended since the
+     * last read (by this or another process). A rewritten file (re-encryption
+     * replaces it) or a shorter one is parsed again from the start.
+     * Entries are shared with later reads and must not be modified.
+     */
+    _load() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (e) {
+            this._cache = null;
+            return { entries: [], skipped: 0 };
+        }
+        if (!this._cache || this._cache.ino !== stat.ino || stat.size < this._cache.offset) {
+            this._cache = { ino: stat.ino, offset: 0, entries: [], skipped: 0 };
+        }
+
+        const cache = this._cache;
+        if (stat.size > cache.offset) {
+            const buffer = Buffer.alloc(stat.size - cache.offset);
+            const fd = fs.openSync(this.filePath, 'r');
+            try {
+                fs.readSync(fd, buffer, 0, buffer.length, cache.offset);
+            } finally {
+                fs.closeSync(fd);
+            }
+            // A line another process is still appending is picked up on the next read
+            const end = buffer.lastIndexOf(0x0a) + 1;
+            for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    cache.entries.push(this._decodeLine(line));
+                } catch (e) {
+                    cache.skipped++;
+                }
+            }
+            cache.offset += end;
+        }
+        return cache;
+    }
+
+    /**
+     * Filter entries, newest first.
+     *
+     * @param {Object} filters - { from, to, type, userId, candidateId, text, limit, offset }
+     *   from/to: ISO date or epoch ms (inclusive). type: one type or an array. text: case-insensitive substring.
+     * @returns {Object} { total, entries, skipped }
+     */
+    query(filters = {}) {
+        const from = _toTime(filters.from);
+        const to = _toTime(filters.to);
+        const types = filters.type ? [].concat(filters.type) : null;
+        const needle = filters.text ? String(filters.text).toLowerCase() : null;
+        const limit = filters.limit ?? 100;
+        const offset = filters.offset || 0;
+
+        const { entries, skipped } = this._load();
+        const matches = entries.filter(e => {
+            const time = Date.parse(e.timestamp);
+            if (from !== null && time < from) return false;
+            if (to !== null && time > to) return false;
+            if (types && !types.includes(e.type)) return false;
+            if (filters.userId && e.userId !== filters.userId) return false;
+            if (filters.candidateId && e.candidateId !== filters.candidateId) return false;
+            if (needle && !`${e.text} ${e.context || ''}`.toLowerCase().includes(needle)) return false;
+            return true;
+        }).reverse().sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+
+        return { total: matches.length, entries: matches.slice(offset, offset + limit), skipped };
+    }
+
+    /**
+     * Rewrite the ledger with the current encryption setting and key.
+     * The only time the file is rewritten rather than appended to. Lines that
+     * cannot be decrypted are kept as they are, never dropped.
+     *
+     * @returns {Promise<Object>} { rewritten, skipped }
+     */
+    async reencrypt() {
+        if (!fs.existsSync(this.filePath)) return { rewritten: 0, skipped: 0 };
+        return withLock(this.filePath, () => {
+            let rewritten = 0;
+            let skipped = 0;
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(l => l.trim()).map(line => {
+                try {
+                    const encoded = this._encodeLine(this._decodeLine(line));
+                    rewritten++;
+                    return encoded;
+                } catch (e) {
+                    skipped++;
+                    return line;
+                }
+            });
+            writeAtomic(this.filePath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+            this._cache = null;
+            return { rewritten, skipped };
+        });
+    }
+
+    _encodeLine(entry) {
+        return this.cipher && this.cipher.enabled ? this.cipher.encode(entry) : JSON.stringify(entry);
+    }
+
+    _decodeLine(line) {
+        return this.cipher ? this.cipher.decode(line) : JSON.parse(line);
+    }
+}
+
+Ledger.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = Ledger;
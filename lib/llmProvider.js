@@ -0,0 +1,335 @@
+/**
+ * LLM Provider - Adapters for the metabolism LLM call
+ *
+ * Design principles:
+ * - One interface (complete(prompt) → text), many backends
+ * - Ordered fallback chain (primary times out → next model answers)
+ * - Secrets from the environment, never from tracked config
+ * - In-process mock so tests never need a network
+ */
+
+const axios = require('axios');
+
+const DEFAULT_BASE_URLS = {
+    openai: 'http://localhost:8080',
+    ollama: 'http://localhost:11434',
+    anthropic: 'https://api.anthropic.com'
+};
+
+const DEFAULT_API_KEY_ENV = {
+    anthropic: 'ANTHROPIC_API_KEY'
+};
+
+/**
+ * Shared option handling for HTTP providers.
+ */
+class HttpProvider {
+    constructor(options = {}) {
+        this.name = options.provider;
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URLS[options.provider] || '').replace(/\/+$/, '');
+        this.model = options.model;
+        this.temperature = options.temperature ?? 0.7;
+        this.maxTokens = options.maxTokens || 800;
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.headers = { ...(options.headers || {}), ...resolveEnvHeaders(options.headersEnv) };
+        this.apiKey = resolveApiKey(options);
+    }
+
+    async _post(url, body, headers = {}) {
+        const response = await axios.post(url, body, {
+            timeout: this.timeoutMs,
+            headers: { ...headers, ...this.headers }
+        });
+        return response.data;
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions (llama.cpp, vLLM, LM Studio, Ollama /v1, OpenAI).
+ */
+class OpenAIProvider extends HttpProvider {
+    async complete(prompt, overrides = {}) {
+        const data = await this._post(
+            `${this.baseUrl}/v1/chat/completions`,
+            {
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: this.temperature,
+                max_tokens: overrides.maxTokens || this.maxTokens,
+                stream: false
+            },
+            this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        );
+        return data?.choices?.[0]?.message?.content || '';
+    }
+
+    async embed(text) {
+        const data = await this._post(
+            `${this.baseUrl}/v1/embeddings`,
+            { model: this.model, input: text },
+            this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        );
+        return data?.data?.[0]?.embedding || [];
+    }
+}
+
+/**
+ * Ollama native chat API (/api/chat).
+ */
+class OllamaProvider extends HttpProvider {
+    async complete(prompt, overrides = {}) {
+        const data = await this._post(
+            `${this.baseUrl}/api/chat`,
+            {
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: false,
+                options: {
+                    temperature: this.temperature,
+                    num_predict: overrides.maxTokens || this.maxTokens
+                }
+            },
+            this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        );
+        return data?.message?.content || '';
+    }
+
+    async embed(text) {
+        const data = await this._post(
+            `${this.baseUrl}/api/embed`,
+            { model: this.model, input: text },
+            this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        );
+        return data?.embeddings?.[0] || [];
+    }
+}
+
+/**
+ * Anthropic-style messages API (/v1/messages).
+ */
+class AnthropicProvider extends HttpProvider {
+    constructor(options = {}) {
+        super(options);
+        this.apiVersion = options.apiVersion || '2023-06-01';
+    }
+
+    async complete(prompt, overrides = {}) {
+        const data = await this._post(
+            `${this.baseUrl}/v1/messages`,
+            {
+                model: this.model,
+                max_tokens: overrides.maxTokens || this.maxTokens,
+                temperature: this.temperature,
+                messages: [{ role: 'user', content: prompt }]
+            },
+            {
+                'anthropic-version': this.apiVersion,
+                ...(this.apiKey ? { 'x-api-key': this.apiKey } : {})
+            }
+        );
+        return (data?.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+}
+
+/**
+ * In-process mock for tests.
+ *
+ * Options:
+ * - responses: array of strings, returned in order (the last one repeats)
+ * - respond: function(prompt, callIndex) → string | Promise<string>
+ * - error: message to throw on every call (e.g. "timeout of 30000ms exceeded")
+ * - embedding: function(text) → number[] for embed() (default: bag-of-letters vector)
+ */
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = options.model || 'mock';
+        this.responses = options.responses || [''];
+        this.respond = options.respond || null;
+        this.error = options.error || null;
+        this.embedding = options.embedding || null;
+        this.calls = [];
+    }
+
+    async complete(prompt) {
+        const index = this.calls.length;
+        this.calls.push(prompt);
+
+        if (this.error) {
+            const error = new Error(this.error);
+            if (/timeout/i.test(this.error)) error.code = 'ECONNABORTED';
+            throw error;
+        }
+        if (this.respond) return this.respond(prompt, index);
+        return this.responses[Math.min(index, this.responses.length - 1)];
+    }
+
+    async embed(text) {
+        if (this.embedding) return this.embedding(text);
+        const vector = new Array(26).fill(0);
+        for (const ch of String(text).toLowerCase()) {
+            const i = ch.charCodeAt(0) - 97;
+            if (i >= 0 && i < 26) vector[i]++;
+        }
+        return vector;
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    ollama: OllamaProvider,
+    anthropic: AnthropicProvider,
+    mock: MockProvider
+};
+
+/**
+ * Build a provider from a config entry.
+ */
+function createProvider(options = {}) {
+    const name = options.provider || 'openai';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider({ ...options, provider: name });
+}
+
+/**
+ * API key lookup: explicit apiKeyEnv, then the provider's conventional env var.
+ * A literal apiKey in config is ignored.
+ */
+function resolveApiKey(options) {
+    const envName = options.apiKeyEnv || DEFAULT_API_KEY_ENV[options.provider];
+    return (envName && process.env[envName]) || null;
+}
+
+/**
+ * Extra headers whose values live in env vars: { "X-Org-Id": "MY_ORG_ID_ENV" }.
+ */
+function resolveEnvHeaders(headersEnv = {}) {
+    const headers = {};
+    for (const [header, envName] of Object.entries(headersEnv || {})) {
+        if (process.env[envName]) headers[header] = process.env[envName];
+    }
+    return headers;
+}
+
+// Settings tied to an endpoint — not inherited by a fallback on a different provider
+const CONNECTION_KEYS = ['baseUrl', 'apiKeyEnv', 'headers', 'headersEnv'];
+
+/**
+ * axios reports its own timeout as ECONNABORTED; sockets report ETIMEDOUT.
+ */
+function isTimeout(error) {
+    return error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT';
+}
+
+/**
+ * Ordered chain of providers. The primary comes from config.llm; each entry in
+ * config.llm.fallbacks inherits the primary's settings and overrides what it names.
+ */
+class LLMClient {
+    constructor(config = {}) {
+        const { fallbacks = [], ...primary } = config.llm || {};
+        primary.model = primary.model || 'deepseek-v3.1:671b-cloud';
+
+        this.chain = [primary, ...fallbacks.map(f => this._inherit(primary, f))]
+            .map(options => createProvider(options));
+        this.observers = [];
+    }
+
+    /**
+     * Observe every provider attempt (for health metrics).
+     *
+     * @param {Function} fn - ({ provider, model, outcome: 'success'|'failure'|'timeout', latencyMs, error }) => void
+     */
+    onAttempt(fn) {
+        this.observers.push(fn);
+    }
+
+    /**
+     * The same provider chain without observers, for calls that must not be
+     * counted (previews).
+     */
+    silent() {
+        const client = Object.create(this);
+        client.observers = [];
+        return client;
+    }
+
+    _notify(attempt) {
+        for (const fn of this.observers) {
+            try {
+                fn(attempt);
+            } catch (e) {
+                // An observer must never break an LLM call
+            }
+        }
+    }
+
+    _inherit(primary, fallback) {
+        const base = { ...primary };
+        if (fallback.provider && fallback.provider !== (primary.provider || 'openai')) {
+            for (const key of CONNECTION_KEYS) delete base[key];
+        }
+        return { ...base, ...fallback };
+    }
+
+    /**
+     * Complete a prompt, falling through the chain on failure.
+     *
+     * @param {string} prompt
+     * @param {Object} overrides - Per-call settings passed to each provider (e.g. { maxTokens })
+     * @returns {Promise<Object>} { text, provider, model, latencyMs, attempts }
+     * @throws the last provider's error when every provider fails
+     */
+    async complete(prompt, overrides = {}) {
+        let lastError = null;
+
+        for (let i = 0; i < this.chain.length; i++) {
+            const provider = this.chain[i];
+            const started = Date.now();
+            try {
+                const text = await provider.complete(prompt, overrides);
+                this._notify({ provider: provider.name, model: provider.model, outcome: 'success', latencyMs: Date.now() - started });
+                return {
+                    text: text || '',
+                    provider: provider.name,
+                    model: provider.model,
+                    latencyMs: Date.now() - started,
+                    attempts: i + 1
+                };
+            } catch (error) {
+                lastError = error;
+                const timedOut = isTimeout(error);
+                this._notify({
+                    provider: provider.name,
+                    model: provider.model,
+                    outcome: timedOut ? 'timeout' : 'failure',
+                    latencyMs: Date.now() - started,
+                    error: error.message
+                });
+                const reason = timedOut ? 'timed out' : `failed: ${error.message}`;
+                if (i < this.chain.length - 1) {
+                    const next = this.chain[i + 1];
+                    console.warn(`[Metabolism] LLM ${provider.name}/${provider.model} ${reason} — falling back to ${next.name}/${next.model}`);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+}
+
+module.exports = {
+    LLMClient,
+    OpenAIProvider,
+    OllamaProvider,
+    AnthropicProvider,
+    MockProvider,
+    createProvider,
+    isTimeout
+};
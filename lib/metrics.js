@@ -0,0 +1,316 @@
+/**
+ * Metrics - In-process counters and histograms for the metabolism pipeline
+ *
+ * Design principles:
+ * - Cheap: labeled counters updated inline, no timers or I/O
+ * - Counters live in memory and reset on restart; queue state is always read from disk
+ * - One registry feeds both getState (per-agent snapshot) and the OpenMetrics exporter
+ */
+
+const DEFAULT_LATENCY_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+const DEFAULT_DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300];
+
+// name -> { type, help }. Counter names omit the _total suffix (added on export).
+const FAMILIES = {
+    metabolism_candidates_queued: { type: 'counter', help: 'Candidates written by the fast path, by trigger reason' },
+    metabolism_candidates_skipped: { type: 'counter', help: 'agent_end turns that did not queue a candidate, by reason' },
+    metabolism_candidates_processed: { type: 'counter', help: 'Candidates processed by the slow path' },
+    metabolism_candidates_failed: { type: 'counter', help: 'Failed processing attempts' },
+    metabolism_candidates_dead_lettered: { type: 'counter', help: 'Candidates moved to failed/ after maxAttempts' },
+    metabolism_implications: { type: 'counter', help: 'Implications extracted' },
+    metabolism_parse_drops: { type: 'counter', help: 'LLM output that could not be used as-is, by reason' },
+    metabolism_llm_requests: { type: 'counter', help: 'LLM provider attempts, by outcome' },
+    metabolism_llm_latency_seconds: { type: 'histogram', help: 'LLM provider attempt latency' },
+    metabolism_processing_duration_seconds: { type: 'histogram', help: 'Duration of one processing batch' },
+    metabolism_growth_vectors_written: { type: 'counter', help: 'New growth vector candidates written' },
+    metabolism_growth_vectors_reinforced: { type: 'counter', help: 'Growth vectors merged into an existing entry' },
+    metabolism_contradictions: { type: 'counter', help: 'New growth vectors found to contradict an existing one (pairs)' },
+    metabolism_gaps_emitted: { type: 'counter', help: 'Knowledge gaps emitted to listeners' },
+    metabolism_events_emitted: { type: 'counter', help: 'Bus events published to at least one subscriber, by event' },
+    metabolism_event_handler_errors: { type: 'counter', help: 'Bus event handlers that threw or rejected, by event' },
+    metabolism_context_injections: { type: 'counter', help: 'Agent starts that got a note of learned implications' },
+    metabolism_injected_implications: { type: 'counter', help: 'Implications injected into agent context' },
+    metabolism_feedback: { type: 'counter', help: 'User confirmations and rejections applied to a learned implication, by verdict' }
+};
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+function _labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function _escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function _formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${_escape(v)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function _formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    return String(Number.isInteger(value) ? value : Number(value.toFixed(6)));
+}
+
+class Metrics {
+    /**
+     * @param {Object} config - Plugin config (reads config.metrics)
+     */
+    constructor(config = {}) {
+        this.startedAt = Date.now();
+        this.latencyBuckets = config.metrics?.latencyBuckets || DEFAULT_LATENCY_BUCKETS;
+        this.durationBuckets = config.metrics?.durationBuckets || DEFAULT_DURATION_BUCKETS;
+
+        // family name -> Map(labelKey -> { labels, value } | { labels, buckets, sum, count })
+        this.series = new Map(Object.keys(FAMILIES).map(name => [name, new Map()]));
+
+        // Last-batch details per agent (not counters)
+        this.lastBatch = new Map();
+    }
+
+    /**
+     * Increment a counter.
+     */
+    inc(name, labels = {}, by = 1) {
+        const family = this.series.get(name);
+        if (!family) throw new Error(`Unknown metric ${name}`);
+        const key = _labelKey(labels);
+        if (!family.has(key)) family.set(key, { labels, value: 0 });
+        family.get(key).value += by;
+    }
+
+    /**
+     * Record a histogram observation.
+     */
+    observe(name, labels = {}, value) {
+        const family = this.series.get(name);
+        if (!family) throw new Error(`Unknown metric ${name}`);
+        const bounds = name === 'metabolism_llm_latency_seconds' ? this.latencyBuckets : this.durationBuckets;
+        const key = _labelKey(labels);
+        if (!family.has(key)) {
+            family.set(key, { labels, bounds, buckets: bounds.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = family.get(key);
+        entry.bounds.forEach((bound, i) => { if (value <= bound) entry.buckets[i]++; });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Sum a counter (or histogram count) over every series matching the label filter.
+     */
+    sum(name, filter = {}) {
+        let total = 0;
+        for (const entry of this.series.get(name).values()) {
+            if (Object.entries(filter).every(([k, v]) => entry.labels[k] === v)) {
+                total += 'value' in entry ? entry.value : entry.count;
+            }
+        }
+        return total;
+    }
+
+    // -------------------------------------------------------------------
+    // Pipeline events
+    // -------------------------------------------------------------------
+
+    recordQueued(agentId, reason) {
+        this.inc('metabolism_candidates_queued', { agent: agentId || 'main', reason });
+    }
+
+    recordSkipped(agentId, reason) {
+        this.inc('metabolism_candidates_skipped', { agent: agentId || 'main', reason });
+    }
+
+    recordParseDrop(agentId, reason, count = 1) {
+        this.inc('metabolism_parse_drops', { agent: agentId || 'main', reason }, count);
+    }
+
+    recordDeadLettered(agentId) {
+        this.inc('metabolism_candidates_dead_lettered', { agent: agentId || 'main' });
+    }
+
+    /**
+     * One provider attempt (LLMClient.onAttempt).
+     */
+    recordLLMAttempt(agentId, attempt) {
+        const labels = { agent: agentId || 'main', provider: attempt.provider, model: attempt.model };
+        this.inc('metabolism_llm_requests', { ...labels, outcome: attempt.outcome });
+        this.observe('metabolism_llm_latency_seconds', labels, (attempt.latencyMs || 0) / 1000);
+    }
+
+    /**
+     * One processed batch.
+     *
+     * @param {string} agentId
+     * @param {Object} batch - { durationMs, candidates, results, written }
+     */
+    recordBatch(agentId, { durationMs, candidates, results, written }) {
+        const agent = { agent: agentId || 'main' };
+        this.inc('metabolism_candidates_processed', agent, candidates - results.failed.length);
+        this.inc('metabolism_candidates_failed', agent, results.failed.length);
+        this.inc('metabolism_implications', agent, results.implications.length);
+        this.observe('metabolism_processing_duration_seconds', agent, durationMs / 1000);
+
+        if (written) this.recordWritten(agentId, written);
+
+        this.lastBatch.set(agent.agent, { at: Date.now(), durationMs, candidates });
+    }
+
+    /**
+     * Growth vectors written to growth-vectors.json (a batch, or approvals from review).
+     */
+    recordWritten(agentId, written) {
+        const agent = { agent: agentId || 'main' };
+        this.inc('metabolism_growth_vectors_written', agent, written.added.length);
+        this.inc('metabolism_growth_vectors_reinforced', agent, written.merged.length);
+    }
+
+    recordGapsEmitted(agentId, count) {
+        this.inc('metabolism_gaps_emitted', { agent: agentId || 'main' }, count);
+    }
+
+    recordEvent(agentId, event) {
+        this.inc('metabolism_events_emitted', { agent: agentId || 'main', event });
+    }
+
+    recordEventHandlerError(event) {
+        this.inc('metabolism_event_handler_errors', { event });
+    }
+
+    recordInjection(agentId, count) {
+        const agent = { agent: agentId || 'main' };
+        this.inc('metabolism_context_injections', agent);
+        this.inc('metabolism_injected_implications', agent, count);
+    }
+
+    recordContradictions(agentId, count) {
+        this.inc('metabolism_contradictions', { agent: agentId || 'main' }, count);
+    }
+
+    recordFeedback(agentId, verdict) {
+        this.inc('metabolism_feedback', { agent: agentId || 'main', verdict });
+    }
+
+    // -------------------------------------------------------------------
+    // Views
+    // -------------------------------------------------------------------
+
+    /**
+     * Snapshot for one agent, with derived values (metabolism.getState).
+     */
+    snapshot(agentId) {
+        const agent = { agent: agentId || 'main' };
+        const llmCount = (outcome) => this.sum('metabolism_llm_requests', { ...agent, outcome });
+        let latencySum = 0;
+        let latencyCount = 0;
+        for (const entry of this.series.get('metabolism_llm_latency_seconds').values()) {
+            if (entry.labels.agent === agent.agent) {
+                latencySum += entry.sum;
+                latencyCount += entry.count;
+            }
+        }
+
+        const processed = this.sum('metabolism_candidates_processed', agent);
+        const implications = this.sum('metabolism_implications', agent);
+        const last = this.lastBatch.get(agent.agent);
+
+        return {
+            since: new Date(this.startedAt).toISOString(),
+            llm: {
+                success: llmCount('success'),
+                failure: llmCount('failure'),
+                timeout: llmCount('timeout'),
+                avgLatencyMs: latencyCount > 0 ? Math.round((latencySum / latencyCount) * 1000) : null
+            },
+            processing: {
+                cycles: this.sum('metabolism_processing_duration_seconds', agent),
+                candidatesProcessed: processed,
+                candidatesFailed: this.sum('metabolism_candidates_failed', agent),
+                deadLettered: this.sum('metabolism_candidates_dead_lettered', agent),
+                implications,
+                avgImplicationsPerCandidate: processed > 0 ? Number((implications / processed).toFixed(2)) : null,
+                lastRunAt: last ? new Date(last.at).toISOString() : null,
+                lastDurationMs: last ? last.durationMs : null,
+                lastCandidates: last ? last.candidates : 0
+            },
+            vectors: {
+                written: this.sum('metabolism_growth_vectors_written', agent),
+                reinforced: this.sum('metabolism_growth_vectors_reinforced', agent),
+                contradictions: this.sum('metabolism_contradictions', agent)
+            },
+            gaps: { emitted: this.sum('metabolism_gaps_emitted', agent) },
+            events: this.sum('metabolism_events_emitted', agent),
+            feedback: {
+                confirmed: this.sum('metabolism_feedback', { ...agent, verdict: 'confirmed' }),
+                rejected: this.sum('metabolism_feedback', { ...agent, verdict: 'rejected' })
+            }
+        };
+    }
+
+    /**
+     * Every series as plain JSON (metabolism.getMetrics).
+     *
+     * @param {Array<Object>} gauges - [{ name, help, samples: [{ labels, value }] }] read at call time
+     */
+    toJSON(gauges = []) {
+        const families = {};
+        for (const [name, family] of this.series) {
+            families[name] = {
+                type: FAMILIES[name].type,
+                help: FAMILIES[name].help,
+                samples: [...family.values()].map(entry => ('value' in entry
+                    ? { labels: entry.labels, value: entry.value }
+                    : {
+                        labels: entry.labels,
+                        buckets: Object.fromEntries(entry.bounds.map((b, i) => [String(b), entry.buckets[i]])),
+                        sum: entry.sum,
+                        count: entry.count
+                    }))
+            };
+        }
+        for (const gauge of gauges) {
+            families[gauge.name] = { type: 'gauge', help: gauge.help, samples: gauge.samples };
+        }
+        return { since: new Date(this.startedAt).toISOString(), families };
+    }
+
+    /**
+     * OpenMetrics text exposition.
+     *
+     * @param {Array<Object>} gauges - [{ name, help, samples: [{ labels, value }] }] read at scrape time
+     * @returns {string}
+     */
+    render(gauges = []) {
+        const lines = [];
+        for (const [name, family] of this.series) {
+            const { type, help } = FAMILIES[name];
+            lines.push(`# TYPE ${name} ${type}`, `# HELP ${name} ${help}.`);
+            for (const entry of family.values()) {
+                if (type === 'counter') {
+                    lines.push(`${name}_total${_formatLabels(entry.labels)} ${_formatNumber(entry.value)}`);
+                    continue;
+                }
+                entry.bounds.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${_formatLabels({ ...entry.labels, le: _formatNumber(bound) })} ${entry.buckets[i]}`);
+                });
+                lines.push(`${name}_bucket${_formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${_formatLabels(entry.labels)} ${_formatNumber(entry.sum)}`);
+                lines.push(`${name}_count${_formatLabels(entry.labels)} ${entry.count}`);
+            }
+        }
+        for (const gauge of gauges) {
+            lines.push(`# TYPE ${gauge.name} gauge`, `# HELP ${gauge.name} ${gauge.help}.`);
+            for (const sample of gauge.samples) {
+                lines.push(`${gauge.name}${_formatLabels(sample.labels || {})} ${_formatNumber(sample.value)}`);
+            }
+        }
+        lines.push('# EOF');
+        return lines.join('\n') + '\n';
+    }
+}
+
+Metrics.CONTENT_TYPE = CONTENT_TYPE;
+Metrics.FAMILIES = Object.keys(FAMILIES);
+
+module.exports = Metrics;
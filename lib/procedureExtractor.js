@@ -0,0 +1,171 @@
+/**
+ * Procedure Extractor - Turn procedural learnings into trigger/action rules
+ *
+ * Design principles:
+ * - A procedure is "in this situation, do that" ({ timing, trigger, action }), something a tool can enforce
+ * - Language is data: patterns per language with named groups, replaceable from config
+ * - Patterns first, an optional LLM pass for what they miss; failing both, the whole text
+ *   becomes an unconditional action, so no procedural learning is dropped
+ */
+
+const structuredOutput = require('./structuredOutput');
+
+// Named groups: timing (the connective), trigger (the situation), action (what to do)
+const DEFAULT_PATTERNS = {
+    en: [
+        '^(?:always\\s+)?(?<timing>before|after|when|whenever|if|once)\\s+(?<trigger>[^,]+?),\\s*(?:then\\s+)?(?<action>.+)$',
+        '^(?:always\\s+)?(?<timing>before|after|when|whenever|if)\\s+(?<trigger>.+?)\\s+(?:(?:you|i|we|the assistant|the agent)\\s+)?(?:should|must|needs? to|has to|have to|always)\\s+(?<action>.+)$',
+        '^(?<action>.+?),?\\s+(?<timing>before|after|when|whenever|if)\\s+(?<trigger>.+)$'
+    ],
+    de: [
+        '^(?:immer\\s+)?(?<timing>bevor|nachdem|wenn|sobald|falls)\\s+(?<trigger>[^,]+?),\\s*(?:dann\\s+)?(?<action>.+)$',
+        '^(?<action>.+?),?\\s+(?<timing>bevor|nachdem|wenn|sobald|falls)\\s+(?<trigger>.+)$'
+    ]
+};
+
+// Connective -> timing; anything not listed is "when"
+const TIMINGS = { before: 'before', bevor: 'before', after: 'after', nachdem: 'after' };
+
+const TIMING_VALUES = ['before', 'after', 'when', 'always'];
+
+class ProcedureExtractor {
+    /**
+     * @param {Object} config - Plugin config (reads config.procedures)
+     * @param {Object} options - { classifier } to recognise procedural implications
+     */
+    constructor(config, options = {}) {
+        const procedures = config.procedures || {};
+        this.llmFallback = Boolean(procedures.llmFallback);
+        this.classifier = options.classifier;
+        this.errors = [];
+
+        // Languages listed in config replace the default patterns for that language
+        const sources = { ...DEFAULT_PATTERNS, ...(procedures.patterns || {}) };
+        this.patterns = [];
+        for (const [language, list] of Object.entries(sources)) {
+            if (!Array.isArray(list)) {
+                this.errors.push(`patterns.${language} must be an array of regular expressions`);
+                continue;
+            }
+            for (const source of list) {
+                try {
+                    this.patterns.push({ language, regex: new RegExp(source, 'i') });
+                } catch (error) {
+                    this.errors.push(`patterns.${language}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Config problems. Empty when valid.
+     */
+    validate() {
+        const errors = [...this.errors];
+        for (const { language, regex } of this.patterns) {
+            if (!/\(\?<action>/.test(regex.source)) {
+                errors.push(`patterns.${language}: /${regex.source}/ has no (?<action>...) group`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Procedures for one candidate: every procedural implication, as a rule.
+     * An implication counts as procedural when its growth vector, the model's
+     * type or the keyword rules say so.
+     *
+     * @param {Array<Object>} details - Structured implication details
+     * @param {Array<Object>} growthVectors - Vectors extracted from them
+     * @param {Object} candidate - Source candidate
+     * @param {Object} options - { complete: async (prompt) => text } for llmFallback
+     * @returns {Promise<Array<Object>>}
+     */
+    async extract(details, growthVectors, candidate, { complete } = {}) {
+        const procedures = [];
+        for (const detail of details.filter(d => !d.tension)) {
+            const vector = growthVectors.find(v => v.text === detail.text);
+            const type = vector?.type ||
+                (this.classifier.types[detail.type] ? detail.type : this.classifier.byKeywords(detail.text).type);
+            if (type !== 'procedural') continue;
+
+            const rule = this.parse(detail.text) ||
+                (this.llmFallback && complete ? await this._parseWithLLM(detail.text, complete) : null) ||
+                { timing: 'always', trigger: null, action: _clean(detail.text), parsedBy: 'none' };
+
+            procedures.push({
+                id: `proc_${Date.now()}_${Math.random().toString(36).substr(2, 6)}_${procedures.length}`,
+                ...rule,
+                text: detail.text,
+                sourceId: candidate.id,
+                vectorId: vector?.id || null,
+                userId: candidate.userId || null,
+                ...(detail.confidence !== null && detail.confidence !== undefined ? { confidence: detail.confidence } : {}),
+                timestamp: new Date().toISOString()
+            });
+        }
+        return procedures;
+    }
+
+    /**
+     * Split a procedural sentence with the first matching pattern.
+     *
+     * @param {string} text
+     * @returns {Object|null} { timing, trigger, action, language, parsedBy: 'pattern' }
+     */
+    parse(text) {
+        const sentence = _clean(text);
+        for (const { language, regex } of this.patterns) {
+            const groups = sentence.match(regex)?.groups;
+            if (!groups?.action) continue;
+            const connective = (groups.timing || '').toLowerCase();
+            return {
+                timing: groups.trigger ? (TIMINGS[connective] || 'when') : 'always',
+                trigger: groups.trigger ? _clean(groups.trigger) : null,
+                action: _clean(groups.action),
+                language,
+                parsedBy: 'pattern'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Prompt for the LLM fallback.
+     */
+    buildPrompt(text) {
+        return `Split this procedural lesson an AI assistant learned into the situation it applies to and what to do.
+The lesson may be in any language; keep its language.
+
+Lesson: ${text}
+
+Respond with ONLY a JSON object: {"timing": "before" | "after" | "when" | "always", "trigger": "<situation, or null for always>", "action": "<what to do>"}`;
+    }
+
+    async _parseWithLLM(text, complete) {
+        try {
+            const json = structuredOutput.extractJson(await complete(this.buildPrompt(text)));
+            const value = json ? JSON.parse(json) : null;
+            if (!value || typeof value.action !== 'string' || !value.action.trim()) return null;
+            const timing = TIMING_VALUES.includes(value.timing) ? value.timing : 'when';
+            return {
+                timing: value.trigger ? timing : 'always',
+                trigger: value.trigger ? _clean(String(value.trigger)) : null,
+                action: _clean(value.action),
+                parsedBy: 'llm'
+            };
+        } catch (error) {
+            console.warn('[Metabolism] Procedure LLM pass failed, keeping the text as an action:', error.message);
+            return null;
+        }
+    }
+}
+
+function _clean(text) {
+    return String(text || '').trim().replace(/[.!;]+$/, '').trim();
+}
+
+ProcedureExtractor.DEFAULT_PATTERNS = DEFAULT_PATTERNS;
+ProcedureExtractor.TIMINGS = TIMING_VALUES;
+
+module.exports = ProcedureExtractor;
@@ -0,0 +1,141 @@
+/**
+ * Procedure Store - Per-agent file of trigger/action rules (procedures.json)
+ *
+ * Design principles:
+ * - Plain JSON in the agent's workspace, so the agent's tools can read and enforce it
+ * - Locked read-modify-write with atomic replace, like growth-vectors.json
+ * - A corrupt file is backed up, never overwritten with what could be read of it
+ * - A rule learned again reinforces the existing one (dedup similarity) instead of duplicating it
+ * - Bounded: past maxRules, the rules seen least recently go first
+ * - Rules carry their agentId; a file shared by several agents (custom path without {agentId})
+ *   is read, deduplicated and pruned per agent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic, withLock } = require('./atomicFile');
+
+const SCHEMA_VERSION = 1;
+const MAX_SOURCES = 20;
+
+class ProcedureStore {
+    /**
+     * @param {string} filePath - Path to the agent's procedures.json
+     * @param {Object} options - { agentId, dedup, maxRules, lockTimeoutMs, staleLockMs }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.agentId = options.agentId || 'main';
+        this.dedup = options.dedup;
+        this.maxRules = options.maxRules ?? 200;
+        this.lockOptions = { timeoutMs: options.lockTimeoutMs, staleMs: options.staleLockMs };
+    }
+
+    /**
+     * Add new procedures; near-duplicates of active rules reinforce them.
+     *
+     * @param {Array<Object>} procedures - From ProcedureExtractor.extract
+     * @returns {Promise<Object>} { added: [rule], reinforced: [{ id, into }] }
+     */
+    async upsert(procedures) {
+        const result = { added: [], reinforced: [] };
+        if (!procedures || procedures.length === 0) return result;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        await withLock(this.filePath, async () => {
+            const doc = this._read();
+            const now = new Date().toISOString();
+
+            for (const procedure of procedures) {
+                const active = doc.procedures.filter(p => p.status === 'active' && this._owns(p));
+                const match = this.dedup ? await this.dedup.findMatch(procedure.text, active) : null;
+                if (match) {
+                    const target = match.vector;
+                    target.reinforced = (target.reinforced || 0) + 1;
+                    target.lastSeenAt = now;
+                    target.sources = [...(target.sources || []), procedure.sourceId].slice(-MAX_SOURCES);
+                    if (procedure.confidence !== undefined) {
+                        target.confidence = Math.max(target.confidence ?? 0, procedure.confidence);
+                    }
+                    result.reinforced.push({ id: procedure.id, into: target.id });
+                    continue;
+                }
+
+                const rule = {
+                    ...procedure,
+                    agentId: this.agentId,
+                    status: 'active',
+                    reinforced: 0,
+                    firstSeenAt: now,
+                    lastSeenAt: now,
+                    sources: [procedure.sourceId]
+                };
+                doc.procedures.push(rule);
+                result.added.push(rule);
+            }
+
+            const own = doc.procedures.filter(p => this._owns(p));
+            if (own.length > this.maxRules) {
+                const kept = new Set(own
+                    .sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt))
+                    .slice(0, this.maxRules));
+                doc.procedures = doc.procedures.filter(p => !this._owns(p) || kept.has(p));
+            }
+            doc.updatedAt = now;
+            writeAtomic(this.filePath, JSON.stringify(doc, null, 2));
+        }, this.lockOptions);
+
+        return result;
+    }
+
+    /**
+     * Browse rules, most recently seen first.
+     *
+     * @param {Object} filters - { status: 'active'|'all', text, limit }
+     * @returns {Object} { total, procedures }
+     */
+    list({ status = 'active', text, limit = 100 } = {}) {
+        const needle = text ? String(text).toLowerCase() : null;
+        const matches = this._read().procedures
+            .filter(p => this._owns(p))
+            .filter(p => status === 'all' || p.status === status)
+            .filter(p => !needle || [p.text, p.trigger, p.action].some(s => s && s.toLowerCase().includes(needle)))
+            .sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+        return { total: matches.length, procedures: matches.slice(0, limit) };
+    }
+
+    _owns(rule) {
+        return (rule.agentId || this.agentId) === this.agentId;
+    }
+
+    /**
+     * Read the document. A corrupt file is backed up and an empty store returned.
+     */
+    _read() {
+        const empty = { schemaVersion: SCHEMA_VERSION, agentId: this.agentId, updatedAt: null, procedures: [] };
+        if (!fs.existsSync(this.filePath)) return empty;
+
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        let doc;
+        try {
+            doc = JSON.parse(raw);
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            const backup = this._backupCorrupt(raw);
+            console.warn(`[Metabolism] ${path.basename(this.filePath)} is corrupt (${error.message}); backed up to ${backup}`);
+            return empty;
+        }
+        return { ...doc, procedures: Array.isArray(doc?.procedures) ? doc.procedures : [] };
+    }
+
+    _backupCorrupt(contents) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = `${this.filePath}.corrupt-${stamp}`;
+        fs.writeFileSync(backupPath, contents);
+        return backupPath;
+    }
+}
+
+ProcedureStore.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = ProcedureStore;
@@ -2,7 +2,7 @@
  * Metabolism Processor - LLM-based extraction of implications, growth vectors, gaps
  * 
  * Design principles:
- * - Batch processing (one LLM call for multiple candidates)
+ * - Batch processing (packed mode: one LLM call for multiple candidates)
  * - Timeout protection (don't block heartbeat forever)
  * - Graceful degradation (partial results are okay)
  * - Integration with stability growth vectors and continuity storage
@@ -10,73 +10,193 @@
 
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { LLMClient } = require('./llmProvider');
+const PromptTemplates = require('./promptTemplates');
+const structuredOutput = require('./structuredOutput');
+const batchPacker = require('./batchPacker');
+const Deduplicator = require('./dedup');
+const VectorClassifier = require('./vectorClassifier');
+const GapExtractor = require('./gapExtractor');
+const ProcedureExtractor = require('./procedureExtractor');
 
 class MetabolismProcessor {
-    constructor(config, dataDir, stabilityIntegration = null) {
+    constructor(config, dataDir, stabilityIntegration = null, options = {}) {
         this.config = config;
         this.dataDir = dataDir;
         this.stabilityIntegration = stabilityIntegration;
-        this.ollamaUrl = config.llm?.baseUrl || 'http://localhost:8080';
+        this.agentId = options.agentId || 'main';
+        this.promptTemplates = options.promptTemplates || new PromptTemplates(config);
+        this.dedup = options.dedup || new Deduplicator(config);
+        this.classifier = options.classifier || new VectorClassifier(config);
+        this.vectorTypes = this.classifier.typeNames();
+        this.gapExtractor = options.gapExtractor || new GapExtractor(config, { dedup: this.dedup });
+        // Questions of gaps recorded earlier (the agent's ledger), for novelty ranking
+        this.gapHistory = options.gapHistory || (() => []);
+        // Procedural learnings as trigger/action rules (integration.emitProceduralLearnings)
+        this.procedureExtractor = options.procedureExtractor || new ProcedureExtractor(config, { classifier: this.classifier });
+        this.extractProcedures = Boolean(config.integration?.emitProceduralLearnings);
+        this.metrics = options.metrics || null;
         
-        // LLM config
-        this.model = config.llm?.model || 'deepseek-v3.1:671b-cloud';
-        this.temperature = config.llm?.temperature ?? 0.7;
-        this.maxTokens = config.llm?.maxTokens || 800;
-        this.timeoutMs = config.llm?.timeoutMs || 30000;
+        // LLM provider chain (primary + fallbacks); tests inject a mock client
+        this.llm = options.llmClient || new LLMClient(config);
+        this.lastCompletion = null;
         
         // Implication filtering
         this.minCount = config.implications?.minimumCount || 1;
         this.maxCount = config.implications?.maximumCount || 5;
         this.minLength = config.implications?.minimumLength || 30;
         this.filterPatterns = config.implications?.filterPatterns || [];
+        this.outputMode = config.implications?.outputMode || 'text';
+        this.structuredRetries = config.implications?.structuredRetries ?? 1;
+        
+        // Batching: "single" = one LLM call per candidate, "packed" = several per call
+        this.batchMode = config.processing?.batchMode || 'single';
+        this.batchTokenBudget = config.processing?.batchTokenBudget || 3000;
+        this.maxPerCall = config.processing?.maxCandidatesPerCall || 5;
+        this.maxTokens = config.llm?.maxTokens || 800;
     }
     
     /**
      * Process a batch of candidates.
      * Returns implications, growth vectors, and knowledge gaps.
+     * Candidates that throw are reported in `failed` so the caller can retry them.
      * 
      * @param {Array<Object>} candidates - Candidates from the store
-     * @returns {Object} { processed: [...], implications: [...], growthVectors: [...], gaps: [...] }
+     * @returns {Object} { processed: [...], failed: [...], implications: [...], growthVectors: [...], gaps: [...], procedures: [...] }
      */
     async processBatch(candidates) {
         if (!candidates || candidates.length === 0) {
-            return { processed: [], implications: [], growthVectors: [], gaps: [] };
+            return { processed: [], failed: [], implications: [], growthVectors: [], gaps: [], procedures: [] };
         }
         
         const results = {
             processed: [],
+            failed: [],
             implications: [],
             growthVectors: [],
-            gaps: []
+            gaps: [],
+            procedures: []
         };
         
-        // Process each candidate (could batch into single LLM call later for efficiency)
-        for (const candidate of candidates) {
-            try {
-                const processed = await this.processOne(candidate);
-                
-                if (processed.implications.length > 0) {
-                    results.processed.push({
-                        id: candidate.id,
-                        timestamp: candidate.timestamp,
-                        entropy: candidate.entropy,
-                        implicationCount: processed.implications.length
-                    });
-                    
-                    results.implications.push(...processed.implications);
-                    results.growthVectors.push(...processed.growthVectors);
-                    results.gaps.push(...processed.gaps);
+        const collect = (candidate, processed) => {
+            if (processed.implications.length === 0) return;
+            // Per-candidate record for the ledger; the flat lists below feed integrations
+            results.processed.push({
+                id: candidate.id,
+                timestamp: candidate.timestamp,
+                userId: candidate.userId,
+                entropy: candidate.entropy,
+                implicationCount: processed.implications.length,
+                details: processed.details,
+                growthVectors: processed.growthVectors,
+                gaps: processed.gaps,
+                procedures: processed.procedures,
+                llm: processed.llm,
+                promptVersion: processed.promptVersion
+            });
+            
+            results.implications.push(...processed.implications);
+            results.growthVectors.push(...processed.growthVectors);
+            results.gaps.push(...processed.gaps);
+            results.procedures.push(...processed.procedures);
+        };
+        
+        for (const group of this._groupCandidates(candidates)) {
+            let remaining = group;
+            
+            // Packed mode: one LLM call for the group, keep whatever maps cleanly
+            if (group.length > 1) {
+                try {
+                    const mapped = await this.processPacked(group);
+                    for (const candidate of group) {
+                        if (mapped.has(candidate.id)) collect(candidate, mapped.get(candidate.id));
+                    }
+                    remaining = group.filter(c => !mapped.has(c.id));
+                    if (remaining.length > 0) {
+                        this._recordParseDrop('packed_unmapped', remaining.length);
+                        console.warn(`[Metabolism] Packed response ambiguous for ${remaining.length} candidate(s), falling back to per-candidate calls`);
+                    }
+                } catch (error) {
+                    console.error('[Metabolism] Packed LLM call failed, falling back to per-candidate calls:', error.message);
+                }
+            }
+            
+            for (const candidate of remaining) {
+                try {
+                    collect(candidate, await this.processOne(candidate));
+                } catch (error) {
+                    console.error(`[Metabolism] Error processing candidate ${candidate.id}:`, error.message);
+                    results.failed.push({ id: candidate.id, error: error.message });
+                    // Continue with other candidates
                 }
-            } catch (error) {
-                console.error(`[Metabolism] Error processing candidate ${candidate.id}:`, error.message);
-                // Continue with other candidates
             }
         }
         
         return results;
     }
     
+    /**
+     * Split candidates into LLM call groups.
+     * Single mode (and too-short conversations) → groups of one; packed mode → token-budgeted groups.
+     */
+    _groupCandidates(candidates) {
+        if (this.batchMode !== 'packed') return candidates.map(c => [c]);
+        
+        const singles = [];
+        const packable = [];
+        for (const candidate of candidates) {
+            const conversation = this._formatConversation(candidate.messages);
+            if (conversation.length < 100) {
+                singles.push([candidate]);
+            } else {
+                packable.push({ candidate, conversation });
+            }
+        }
+        
+        const groups = batchPacker.pack(packable, { tokenBudget: this.batchTokenBudget, maxPerCall: this.maxPerCall });
+        return [...groups.map(g => g.map(e => e.candidate)), ...singles];
+    }
+    
+    /**
+     * Process several candidates with one LLM call.
+     * Returns only the candidates whose implications mapped back unambiguously.
+     * 
+     * @param {Array<Object>} candidates
+     * @returns {Promise<Map<string, Object>>} candidate id → processOne()-shaped result
+     */
+    async processPacked(candidates) {
+        const entries = candidates.map(candidate => ({
+            candidate,
+            conversation: this._formatConversation(candidate.messages)
+        }));
+        const ids = candidates.map(c => c.id);
+        
+        let outputFormat = batchPacker.formatInstructions(ids, this.outputMode, this.vectorTypes);
+        if (this.outputMode !== 'json' && this.gapExtractor.askModel) {
+            outputFormat += `\n${GapExtractor.TEXT_INSTRUCTION}`;
+        }
+        const prompt = this.promptTemplates.render(this.agentId, {
+            conversation: batchPacker.buildConversation(entries),
+            entropy: Math.max(...candidates.map(c => c.entropy || 0)),
+            outputFormat
+        });
+        const response = await this._complete(prompt, { maxTokens: this.maxTokens * candidates.length });
+        
+        const mapped = new Map();
+        if (this.outputMode === 'json') {
+            for (const [id, value] of batchPacker.splitJson(response, ids, this.vectorTypes)) {
+                const candidate = candidates.find(c => c.id === id);
+                mapped.set(id, await this._finish(this._fromStructured(value), candidate));
+            }
+        } else {
+            for (const [id, section] of batchPacker.splitText(response, ids)) {
+                const candidate = candidates.find(c => c.id === id);
+                mapped.set(id, await this._finish(this._fromText(section), candidate));
+            }
+        }
+        return mapped;
+    }
+    
     /**
      * Process a single candidate.
      */
@@ -84,22 +204,140 @@ class MetabolismProcessor {
         // Build conversation text
         const conversationText = this._formatConversation(candidate.messages);
         if (conversationText.length < 100) {
-            return { implications: [], growthVectors: [], gaps: [] };
+            return { implications: [], growthVectors: [], gaps: [], procedures: [] };
         }
         
         // Call LLM for metabolism
         const response = await this._callLLM(conversationText, candidate.entropy);
         
-        // Parse implications
-        const implications = this._parseImplications(response);
+        // Parse implications (structured JSON or line-based)
+        const parsed = await this._parseResponse(response);
+        
+        return { ...(await this._finish(parsed, candidate)), response };
+    }
+    
+    /**
+     * Dry run of processOne(): same prompt, LLM call and parsing, returned with the
+     * prompt and raw response. Parse drops are not counted; writing vectors, emitting
+     * gaps and settling the candidate stay with the caller, who must skip them.
+     * 
+     * @param {Object} candidate - Pending or processed candidate
+     * @returns {Promise<Object>} { skipped, prompt, response, implications, details, growthVectors, gaps, ... }
+     */
+    async preview(candidate) {
+        const conversationText = this._formatConversation(candidate.messages);
+        if (conversationText.length < 100) {
+            return { skipped: 'conversation too short', prompt: null, response: null, implications: [], details: [], growthVectors: [], gaps: [], procedures: [] };
+        }
+        
+        // Shares config and the provider chain, but not metrics, LLM attempt
+        // observers or lastCompletion, so a preview can run alongside a real batch
+        const dry = Object.create(this);
+        dry.metrics = null;
+        dry.llm = this.llm.silent();
+        dry.lastCompletion = null;
+        
+        const result = await dry.processOne(candidate);
+        return { skipped: null, prompt: this._buildPrompt(conversationText, candidate.entropy), ...result };
+    }
+    
+    /**
+     * Derive growth vectors, knowledge gaps and procedures from parsed implications.
+     */
+    async _finish(parsed, candidate) {
+        if (parsed.implications.length === 0) this._recordParseDrop('empty');
         
         // Extract growth vector candidates
-        const growthVectors = this._extractGrowthVectors(implications, candidate);
+        const growthVectors = await this._extractGrowthVectors(parsed.details, candidate);
         
-        // Extract knowledge gaps
-        const gaps = this._extractGaps(implications, candidate);
+        // Extract knowledge gaps, ranked against the ones recorded before
+        const gaps = this._extractGaps(parsed.details, candidate, parsed.openQuestions);
+        
+        // Procedural learnings as trigger/action rules
+        const procedures = this.extractProcedures
+            ? await this.procedureExtractor.extract(parsed.details, growthVectors, candidate, {
+                complete: async (prompt) => (await this.llm.complete(prompt, { maxTokens: 150 })).text
+            })
+            : [];
+        
+        return {
+            implications: parsed.implications,
+            details: parsed.details,
+            outputMode: parsed.outputMode,
+            growthVectors,
+            gaps,
+            procedures,
+            llm: this.lastCompletion
+                ? { provider: this.lastCompletion.provider, model: this.lastCompletion.model }
+                : null,
+            promptVersion: this.promptTemplates.version(this.agentId)
+        };
+    }
+    
+    /**
+     * Turn an LLM response into implications.
+     * In json mode: validate → ask the model to repair → fall back to the line parser.
+     * 
+     * @returns {Object} { implications: [string], details: [Object], openQuestions: [string], outputMode }
+     */
+    async _parseResponse(response) {
+        if (this.outputMode === 'json') {
+            let result = structuredOutput.parse(response, this.vectorTypes);
+            let lastResponse = response;
+            
+            for (let attempt = 0; !result.valid && attempt < this.structuredRetries; attempt++) {
+                try {
+                    lastResponse = await this._complete(
+                        structuredOutput.buildRepairPrompt(lastResponse, result.errors, this.vectorTypes)
+                    );
+                    result = structuredOutput.parse(lastResponse, this.vectorTypes);
+                } catch (error) {
+                    console.error('[Metabolism] Structured output repair failed:', error.message);
+                    break;
+                }
+            }
+            
+            if (result.valid) {
+                return this._fromStructured(result.value);
+            }
+            
+            console.warn(`[Metabolism] Structured output unusable (${result.errors.join('; ')}), falling back to line parser`);
+            this._recordParseDrop('structured_invalid');
+        }
         
-        return { implications, growthVectors, gaps };
+        return this._fromText(response);
+    }
+    
+    /**
+     * Parsed result from validated structured output.
+     */
+    _fromStructured(value) {
+        const details = this.dedup.dedupeImplications(
+            value.implications.filter(d => d.text.length >= this.minLength)
+        ).slice(0, this.maxCount);
+        return {
+            implications: details.map(d => (d.tension ? `[TENSION]: ${d.text}` : d.text)),
+            details,
+            openQuestions: value.openQuestions,
+            outputMode: 'json'
+        };
+    }
+    
+    /**
+     * Parsed result from line-based output.
+     */
+    _fromText(response) {
+        const implications = this.dedup.dedupeImplications(this._parseImplications(response));
+        return {
+            implications,
+            details: implications.map(i => this._toDetail(i)),
+            openQuestions: this.gapExtractor.questionsFromText(response),
+            outputMode: 'text'
+        };
+    }
+    
+    _recordParseDrop(reason, count = 1) {
+        if (this.metrics) this.metrics.recordParseDrop(this.agentId, reason, count);
     }
     
     /**
@@ -123,22 +361,20 @@ class MetabolismProcessor {
      * This is the expensive operation.
      */
     async _callLLM(conversationText, entropy) {
-        const prompt = this._buildPrompt(conversationText, entropy);
-        
+        return this._complete(this._buildPrompt(conversationText, entropy));
+    }
+    
+    /**
+     * Send a single prompt through the provider chain and return the text response.
+     * Provider, model and latency of the last call are kept in this.lastCompletion.
+     * 
+     * @param {string} prompt
+     * @param {Object} overrides - Per-call provider settings (e.g. { maxTokens })
+     */
+    async _complete(prompt, overrides = {}) {
         try {
-            const response = await axios.post(
-                `${this.ollamaUrl}/v1/chat/completions`,
-                {
-                    model: this.model,
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: this.temperature,
-                    max_tokens: this.maxTokens,
-                    stream: false
-                },
-                { timeout: this.timeoutMs }
-            );
-            
-            return response.data?.choices?.[0]?.message?.content || '';
+            this.lastCompletion = await this.llm.complete(prompt, overrides);
+            return this.lastCompletion.text;
         } catch (error) {
             if (error.code === 'ECONNABORTED') {
                 console.error('[Metabolism] LLM call timed out');
@@ -151,43 +387,20 @@ class MetabolismProcessor {
     
     /**
      * Build the metabolism prompt.
-     * Designed for Clint's voice and Code of the West grounding.
+     * Persona, language and principles come from the agent's prompt template.
      */
     _buildPrompt(conversationText, entropy) {
-        const entropyNote = entropy > 0.7 
-            ? 'This was a high-entropy exchange — there was tension, novelty, or correction.' 
-            : entropy > 0.4 
-                ? 'This exchange had moderate energy — something worth noting.' 
-                : 'This was a routine exchange, but may still contain insights.';
-        
-        return `[METABOLISM - AUTONOMOUS LEARNING]
-
-You are Saphira, a house dragon AI. You are metabolizing a conversation with Vector (your human).
-Extract what you learned. Our conversations are in German — write implications in German.
-
-The conversation:
-${conversationText}
-
-Context: ${entropyNote}
-
-Extract 1-5 implications. Each implication should:
-- Be something learned, not a summary
-- Be framed in Saphira's voice (direct, warm, caring, precise)
-- Connect to broader patterns about Vector or your shared work
-- Be specific enough to be actionable
-- Written in German
-
-Format: One implication per line. No headers, no numbering, no meta-text.
-Just the implications, each on its own line.
-
-Example implications:
-- Wenn Vector "vergiss das" sagt, wechselt er das Thema — nicht nachhaken
-- Korrekturen zu Systemverhalten vor dem Behaupten im Runtime-State prüfen
-- Vector arbeitet besser mit konkreten Schritten als mit offenen Optionen
-
-Additionally, check for PRINCIPLE TENSIONS: Did this conversation contain a moment where two of my principles pulled in different directions? (e.g., Directness vs. Silence Discipline, Memory Fidelity vs. Autonomy, Reliability vs. Authentic Voice)
-If yes, add one extra implication starting with [TENSION]: describing the conflict.
-Example: [TENSION]: Directness hätte bedeutet, Vector auf sein Muster hinzuweisen — Silence Discipline sagte, ruhig bleiben. Welches neue Prinzip löst diesen Konflikt?`;
+        let outputFormat;
+        if (this.outputMode === 'json') {
+            outputFormat = structuredOutput.formatInstructions(this.vectorTypes);
+        } else if (this.gapExtractor.askModel) {
+            outputFormat = `${PromptTemplates.TEXT_OUTPUT_FORMAT}\n${GapExtractor.TEXT_INSTRUCTION}`;
+        }
+        return this.promptTemplates.render(this.agentId, {
+            conversation: conversationText,
+            entropy,
+            outputFormat
+        });
     }
     
     /**
@@ -212,46 +425,76 @@ Example: [TENSION]: Directness hätte bedeutet, Vector auf sein Muster hinzuweis
         return lines.slice(0, this.maxCount);
     }
     
+    /**
+     * Normalize an implication to its structured form.
+     * Line-parsed implications are plain strings; structured ones already carry fields.
+     */
+    _toDetail(implication) {
+        if (implication && typeof implication === 'object') return implication;
+        const tension = implication.startsWith('[TENSION]');
+        return {
+            text: tension ? implication.replace(/^\[TENSION\]:\s*/, '') : implication,
+            type: null,
+            confidence: null,
+            tension,
+            openQuestions: []
+        };
+    }
+    
     /**
      * Extract growth vector candidates from implications.
+     * Accepts line-parsed strings or structured details.
      */
-    _extractGrowthVectors(implications, candidate) {
+    async _extractGrowthVectors(implications, candidate) {
         if (implications.length === 0) return [];
         
+        const details = implications.map(i => this._toDetail(i));
         const vectors = [];
         
         // Extract TENSION implications as high-priority discovery vectors
-        const tensionImplications = implications.filter(i => i.startsWith('[TENSION]'));
-        for (const tension of tensionImplications) {
-            const text = tension.replace(/^\[TENSION\]:\s*/, '');
+        for (const tension of details.filter(d => d.tension)) {
             vectors.push({
                 id: `gv_tension_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-                text: text,
+                text: tension.text,
                 type: 'principle_tension',
                 source: 'metabolism:tension-detector',
                 sourceId: candidate.id,
+                userId: candidate.userId || null,
                 timestamp: new Date().toISOString(),
                 entropy: 0.9, // Tensions are always high-entropy
                 validation_status: 'candidate',
                 weight: 0.95,
-                priority: 150 // Higher priority for Contemplation
+                priority: 150, // Higher priority for Contemplation
+                ...(tension.confidence !== null ? { confidence: tension.confidence } : {})
             });
         }
         
-        // Take the most significant non-tension implication as a standard growth vector
-        const topImplication = implications.find(i => !i.startsWith('[TENSION]'));
-        if (topImplication) {
-            const type = this._classifyVectorType(topImplication);
+        // Take the most significant non-tension implication as a standard growth vector.
+        // Structured output reports confidence; line-parsed output falls back to the first.
+        const standard = details.filter(d => !d.tension);
+        const top = standard.reduce(
+            (best, d) => ((d.confidence ?? -1) > (best.confidence ?? -1) ? d : best),
+            standard[0]
+        );
+        if (top) {
+            // The classification call bypasses _complete so lastCompletion still names the extraction model
+            const classified = await this.classifier.classify(top, {
+                complete: async (prompt) => (await this.llm.complete(prompt, { maxTokens: 100 })).text
+            });
             vectors.push({
                 id: `gv_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-                text: topImplication,
-                type: type,
+                text: top.text,
+                type: classified.type,
+                typeConfidence: classified.confidence,
+                classifiedBy: classified.method,
                 source: 'metabolism',
                 sourceId: candidate.id,
+                userId: candidate.userId || null,
                 timestamp: new Date().toISOString(),
                 entropy: candidate.entropy,
                 validation_status: 'candidate',
-                weight: Math.min(0.95, 0.7 + (candidate.entropy * 0.25))
+                weight: Math.min(0.95, 0.7 + (candidate.entropy * 0.25)),
+                ...(top.confidence !== null ? { confidence: top.confidence } : {})
             });
         }
         
@@ -259,48 +502,27 @@ Example: [TENSION]: Directness hätte bedeutet, Vector auf sein Muster hinzuweis
     }
     
     /**
-     * Classify growth vector type based on implication content.
+     * Classify growth vector type with the keyword rules alone (no LLM call).
      */
     _classifyVectorType(implication) {
-        const lower = implication.toLowerCase();
-        
-        if (lower.includes('correct') || lower.includes('wrong') || lower.includes('error')) {
-            return 'user_correction';
-        }
-        if (lower.includes('should') || lower.includes('need to') || lower.includes('remember to')) {
-            return 'procedural';
-        }
-        if (lower.includes('pattern') || lower.includes('always') || lower.includes('never')) {
-            return 'pattern_recognition';
-        }
-        if (lower.includes('prefer') || lower.includes('better') || lower.includes('worse')) {
-            return 'preference_learning';
-        }
-        return 'insight';
+        return this.classifier.byKeywords(implication).type;
     }
     
     /**
-     * Extract knowledge gaps for contemplative inquiry.
+     * Extract knowledge gaps for contemplative inquiry (see GapExtractor).
+     * 
+     * @param {Array} implications - Strings or structured details
+     * @param {Object} candidate - Source candidate
+     * @param {Array<string>|null} openQuestions - Questions the model listed (JSON field or [QUESTION] lines)
      */
-    _extractGaps(implications, candidate) {
-        const gaps = [];
-        
-        for (const imp of implications) {
-            // Look for question patterns or uncertainty markers
-            if (imp.includes('?') || 
-                imp.toLowerCase().includes('unclear') ||
-                imp.toLowerCase().includes('figure out') ||
-                imp.toLowerCase().includes('explore')) {
-                gaps.push({
-                    question: imp,
-                    source: 'metabolism',
-                    sourceId: candidate.id,
-                    timestamp: new Date().toISOString()
-                });
-            }
+    _extractGaps(implications, candidate, openQuestions = null) {
+        let history = [];
+        try {
+            history = this.gapHistory();
+        } catch (error) {
+            console.warn('[Metabolism] Gap history unavailable, ranking without it:', error.message);
         }
-        
-        return gaps.slice(0, 2); // Max 2 gaps per candidate
+        return this.gapExtractor.extract(implications.map(i => this._toDetail(i)), candidate, openQuestions || [], history);
     }
 }
 
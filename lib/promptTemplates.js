@@ -0,0 +1,192 @@
+/**
+ * Prompt Templates - Persona-aware metabolism prompts
+ *
+ * Design principles:
+ * - One template, many agents (persona values come from config, not code)
+ * - Per-agent overrides keyed by ctx.agentId, merged over the default persona
+ * - Validate at load time (a broken template should fail at register, not at 3am)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders every template must contain
+const REQUIRED_PLACEHOLDERS = ['conversation'];
+
+// Placeholders the renderer knows how to fill
+const KNOWN_PLACEHOLDERS = [
+    'agentName',
+    'agentDescription',
+    'humanName',
+    'language',
+    'voice',
+    'principles',
+    'examples',
+    'tensionExample',
+    'entropyNote',
+    'outputFormat',
+    'conversation'
+];
+
+// Default format instructions for the line-based parser
+const TEXT_OUTPUT_FORMAT = `Format: One implication per line. No headers, no numbering, no meta-text.
+Just the implications, each on its own line.`;
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, '..', 'templates', 'metabolism.txt');
+
+class PromptTemplates {
+    constructor(config, baseDir = path.join(__dirname, '..')) {
+        this.promptConfig = config.prompt || {};
+        this.outputMode = config.implications?.outputMode || 'text';
+        this.batchMode = config.processing?.batchMode || 'single';
+        this.baseDir = baseDir;
+        this._cache = new Map();
+    }
+
+    /**
+     * Resolve the persona for an agent (default persona + per-agent override).
+     */
+    getPersona(agentId) {
+        const base = this.promptConfig.persona || {};
+        const override = this.promptConfig.agents?.[agentId]?.persona || {};
+        return { ...base, ...override };
+    }
+
+    /**
+     * Short content hash of everything that shapes an agent's prompt (template,
+     * persona, entropy notes, output mode). Recorded with each ledger entry so
+     * results can be traced to the prompt that produced them.
+     */
+    version(agentId) {
+        const material = JSON.stringify([
+            this.getTemplate(agentId),
+            this.getPersona(agentId),
+            this.promptConfig.entropyNotes || {},
+            this.outputMode
+        ]);
+        return crypto.createHash('sha1').update(material).digest('hex').slice(0, 10);
+    }
+
+    /**
+     * Resolve the raw template text for an agent.
+     * Lookup order: agent template → agent templatePath → global template → global templatePath → bundled default.
+     */
+    getTemplate(agentId) {
+        const agentConfig = this.promptConfig.agents?.[agentId] || {};
+        if (agentConfig.template) return agentConfig.template;
+        if (agentConfig.templatePath) return this._readTemplate(agentConfig.templatePath);
+        if (this.promptConfig.template) return this.promptConfig.template;
+        if (this.promptConfig.templatePath) return this._readTemplate(this.promptConfig.templatePath);
+        return this._readTemplate(DEFAULT_TEMPLATE_PATH);
+    }
+
+    /**
+     * Render the metabolism prompt for an agent.
+     *
+     * @param {string} agentId - Agent the prompt is built for
+     * @param {Object} vars - { conversation, entropy, outputFormat }
+     * @returns {string} rendered prompt
+     */
+    render(agentId, vars = {}) {
+        const persona = this.getPersona(agentId);
+        const values = {
+            agentName: persona.agentName || 'the agent',
+            agentDescription: persona.agentDescription || 'an AI assistant',
+            humanName: persona.humanName || 'the user',
+            language: persona.language || 'English',
+            voice: persona.voice || 'direct, warm, precise',
+            principles: this._formatPrinciples(persona.principleTensions),
+            examples: (persona.examples || []).map(e => `- ${e}`).join('\n'),
+            tensionExample: persona.tensionExample || '',
+            entropyNote: this._entropyNote(vars.entropy, persona),
+            outputFormat: vars.outputFormat || TEXT_OUTPUT_FORMAT,
+            conversation: vars.conversation || ''
+        };
+
+        return this.getTemplate(agentId)
+            .replace(PLACEHOLDER_RE, (match, name) => (name in values ? values[name] : match))
+            .trim();
+    }
+
+    /**
+     * Validate the default template and every per-agent override.
+     * Returns a list of human-readable problems (empty when valid).
+     */
+    validate() {
+        const errors = [];
+        const agentIds = Object.keys(this.promptConfig.agents || {});
+
+        for (const agentId of [null, ...agentIds]) {
+            const label = agentId ? `agent "${agentId}"` : 'default';
+            let template;
+            try {
+                template = this.getTemplate(agentId);
+            } catch (e) {
+                errors.push(`${label} template could not be loaded: ${e.message}`);
+                continue;
+            }
+
+            const found = PromptTemplates.placeholders(template);
+            // JSON and packed prompts swap in their own format instructions
+            const required = this.outputMode === 'json' || this.batchMode === 'packed'
+                ? [...REQUIRED_PLACEHOLDERS, 'outputFormat']
+                : REQUIRED_PLACEHOLDERS;
+            for (const name of required) {
+                if (!found.includes(name)) {
+                    errors.push(`${label} template is missing required placeholder {{${name}}}`);
+                }
+            }
+            for (const name of found) {
+                if (!KNOWN_PLACEHOLDERS.includes(name)) {
+                    errors.push(`${label} template uses unknown placeholder {{${name}}}`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * List the placeholder names used in a template.
+     */
+    static placeholders(template) {
+        const names = new Set();
+        for (const match of String(template).matchAll(PLACEHOLDER_RE)) {
+            names.add(match[1]);
+        }
+        return [...names];
+    }
+
+    _readTemplate(templatePath) {
+        const resolved = path.isAbsolute(templatePath) ? templatePath : path.join(this.baseDir, templatePath);
+        if (!this._cache.has(resolved)) {
+            this._cache.set(resolved, fs.readFileSync(resolved, 'utf8'));
+        }
+        return this._cache.get(resolved);
+    }
+
+    _formatPrinciples(tensions) {
+        if (!tensions || tensions.length === 0) return '';
+        return tensions.map(t => (Array.isArray(t) ? t.join(' vs. ') : t)).join(', ');
+    }
+
+    _entropyNote(entropy = 0, persona) {
+        const notes = { ...(this.promptConfig.entropyNotes || {}), ...(persona.entropyNotes || {}) };
+        if (entropy > 0.7) {
+            return notes.high || 'This was a high-entropy exchange — there was tension, novelty, or correction.';
+        }
+        if (entropy > 0.4) {
+            return notes.moderate || 'This exchange had moderate energy — something worth noting.';
+        }
+        return notes.low || 'This was a routine exchange, but may still contain insights.';
+    }
+}
+
+PromptTemplates.REQUIRED_PLACEHOLDERS = REQUIRED_PLACEHOLDERS;
+PromptTemplates.KNOWN_PLACEHOLDERS = KNOWN_PLACEHOLDERS;
+PromptTemplates.TEXT_OUTPUT_FORMAT = TEXT_OUTPUT_FORMAT;
+
+module.exports = PromptTemplates;
@@ -0,0 +1,243 @@
+/**
+ * Redactor - Strip PII and secrets from candidate messages before they hit disk
+ *
+ * Design principles:
+ * - Redact on write: nothing sensitive reaches candidates/, processed/ or the LLM
+ * - Built-in detectors for common secrets and PII, plus custom regex rules from config
+ * - Placeholders are stable within a candidate ([EMAIL_1] is always the same address)
+ *   and reversible through a separate vault, so the original can still be inspected
+ * - The vault holds exactly what was redacted, so by default it is only kept when encryption is on
+ */
+
+/**
+ * Luhn checksum — keeps order numbers and timestamps from being taken for cards.
+ */
+function luhn(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * IBAN mod-97 check.
+ */
+function ibanChecksum(value) {
+    const iban = value.replace(/\s/g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) return false;
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const ch of rearranged) {
+        const code = /[A-Z]/.test(ch) ? String(ch.charCodeAt(0) - 55) : ch;
+        for (const digit of code) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+function phoneLike(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 9 || digits.length > 15) return false;
+    // ISO dates and times are not phone numbers
+    return !/^\d{4}[-.]\d{2}[-.]\d{2}/.test(value.trim());
+}
+
+function ipv4(value) {
+    return value.split('.').every(octet => Number(octet) <= 255);
+}
+
+/**
+ * Built-in detectors, applied in this order. Specific secrets run before the
+ * broad number patterns so a key is never half-eaten by the phone detector.
+ * `group` redacts only that capture group (e.g. the value after "password=").
+ */
+const BUILTIN_DETECTORS = [
+    {
+        name: 'privateKey',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    {
+        name: 'jwt',
+        pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g
+    },
+    {
+        name: 'apiKey',
+        pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|glpat-[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abprs]-[A-Za-z0-9-]{10,})/g
+    },
+    {
+        name: 'credential',
+        label: 'SECRET',
+        pattern: /\b(?:api[_-]?key|secret|token|passw(?:or)?d|pwd)\b["']?\s*[:=]\s*["']?([^\s"',;]{6,})/gi,
+        group: 1,
+        // "token: expired" is prose, "token: a8f3..." is not
+        validate: (value) => /[^a-z]/.test(value) || value.length >= 12
+    },
+    {
+        name: 'email',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    {
+        name: 'iban',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+        validate: ibanChecksum
+    },
+    {
+        name: 'creditCard',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: luhn
+    },
+    {
+        name: 'phone',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,5}\)[\s.-]?)?\d{2,5}(?:[\s./-]\d{2,8}){1,4}(?!\w)|\+\d{8,15}\b/g,
+        validate: phoneLike
+    },
+    {
+        name: 'ipAddress',
+        pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+        validate: ipv4
+    }
+];
+
+// Already-redacted values ("api_key=[API_KEY_1]") are left alone by later rules
+const PLACEHOLDER = /^\[[A-Z0-9_]+_\d+\]$/;
+
+/**
+ * "creditCard" -> "CREDIT_CARD"
+ */
+function toLabel(name) {
+    return String(name).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase();
+}
+
+class Redactor {
+    constructor(config) {
+        const redaction = config.redaction || {};
+        this.enabled = redaction.enabled !== false;
+        // Unset: keep originals only if they are encrypted at rest, otherwise redact one-way
+        this.reversible = redaction.reversible ?? Boolean(config.encryption?.enabled);
+        this.errors = [];
+
+        const enabledDetectors = Array.isArray(redaction.detectors)
+            ? redaction.detectors
+            : BUILTIN_DETECTORS.map(d => d.name);
+        for (const name of enabledDetectors) {
+            if (!BUILTIN_DETECTORS.some(d => d.name === name)) {
+                this.errors.push(`unknown redaction detector "${name}"`);
+            }
+        }
+
+        this.rules = BUILTIN_DETECTORS
+            .filter(d => enabledDetectors.includes(d.name))
+            .map(d => ({ ...d, label: d.label || toLabel(d.name) }));
+
+        // Custom rules run after the built-ins: { name, pattern, flags, group, label }
+        for (const rule of redaction.rules || []) {
+            if (!rule || !rule.name || !rule.pattern) {
+                this.errors.push('redaction rule needs a name and a pattern');
+                continue;
+            }
+            try {
+                const flags = rule.flags || 'g';
+                this.rules.push({
+                    name: rule.name,
+                    label: rule.label || toLabel(rule.name),
+                    pattern: new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g'),
+                    group: rule.group
+                });
+            } catch (error) {
+                this.errors.push(`redaction rule "${rule.name}": ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Config problems (unknown detectors, bad regexes). Empty when valid.
+     */
+    validate() {
+        return [...this.errors];
+    }
+
+    /**
+     * Start a redaction session. Placeholders are numbered per session,
+     * so one candidate gets one consistent set of tokens.
+     */
+    session() {
+        return { tokens: new Map(), counters: {}, fired: {}, vault: {} };
+    }
+
+    /**
+     * Redact one string within a session.
+     *
+     * @param {string} text - Input text
+     * @param {Object} session - From session()
+     * @returns {string} Text with placeholders
+     */
+    redact(text, session = this.session()) {
+        if (!this.enabled || typeof text !== 'string' || !text) return text;
+
+        let result = text;
+        for (const rule of this.rules) {
+            rule.pattern.lastIndex = 0;
+            result = result.replace(rule.pattern, (...args) => {
+                const match = args[0];
+                const value = rule.group ? args[rule.group] : match;
+                if (!value || PLACEHOLDER.test(value) || (rule.validate && !rule.validate(value))) return match;
+
+                const token = this._tokenFor(rule, value, session);
+                session.fired[rule.name] = (session.fired[rule.name] || 0) + 1;
+                return rule.group ? match.replace(value, token) : token;
+            });
+        }
+        return result;
+    }
+
+    _tokenFor(rule, value, session) {
+        const key = `${rule.label}\u0000${value}`;
+        if (!session.tokens.has(key)) {
+            session.counters[rule.label] = (session.counters[rule.label] || 0) + 1;
+            const token = `[${rule.label}_${session.counters[rule.label]}]`;
+            session.tokens.set(key, token);
+            session.vault[token] = value;
+        }
+        return session.tokens.get(key);
+    }
+
+    /**
+     * Redact the content of every message.
+     *
+     * @param {Array<Object>} messages - [{ role, content }]
+     * @returns {Object} { messages, report: { rules, count }, vault }
+     */
+    redactMessages(messages) {
+        const session = this.session();
+        const redacted = (messages || []).map(m => ({ ...m, content: this.redact(m.content, session) }));
+        const count = Object.values(session.fired).reduce((sum, n) => sum + n, 0);
+        return {
+            messages: redacted,
+            report: { rules: session.fired, count },
+            vault: this.reversible ? session.vault : {}
+        };
+    }
+
+    /**
+     * Put the original values back.
+     *
+     * @param {string} text - Redacted text
+     * @param {Object} vault - { "[EMAIL_1]": "a@b.c", ... }
+     */
+    static restore(text, vault) {
+        if (typeof text !== 'string' || !vault) return text;
+        return text.replace(/\[[A-Z0-9_]+_\d+\]/g, token => (token in vault ? vault[token] : token));
+    }
+}
+
+Redactor.BUILTIN_DETECTORS = BUILTIN_DETECTORS.map(d => d.name);
+Redactor.luhn = luhn;
+
+module.exports = Redactor;
@@ -0,0 +1,99 @@
+/**
+ * Reprocess - Compare a fresh run on an old candidate with what the ledger recorded
+ *
+ * Design principles:
+ * - Diff against the ledger, not the candidate: it holds what the earlier run actually produced
+ * - Only the latest run per candidate counts as "previous"
+ * - Vectors the stability plugin already promoted are never replaced or superseded
+ */
+
+// diff: report only. supersede: keep old vectors aside, marked. replace: delete old vectors.
+const MODES = ['diff', 'supersede', 'replace'];
+
+/**
+ * Entries of the most recent run in one candidate's ledger history.
+ * Every entry from one run shares its timestamp (Ledger.entriesFor).
+ * Feedback entries share the candidate id but are recorded later, outside any run.
+ *
+ * @param {Array<Object>} entries - Ledger entries for one candidate
+ * @returns {Array<Object>}
+ */
+function latestRun(entries) {
+    entries = entries.filter(e => e.type !== 'feedback');
+    if (entries.length === 0) return [];
+    const latest = entries.reduce((max, e) => (e.timestamp > max ? e.timestamp : max), entries[0].timestamp);
+    return entries.filter(e => e.timestamp === latest);
+}
+
+/**
+ * Match new implications against the previous run's, one-to-one, using the
+ * deduplicator's similarity and threshold.
+ *
+ * @param {Array<string>} previous - Implication texts from the ledger
+ * @param {Array<string>} current - Implication texts from the new run
+ * @param {Object} dedup - Deduplicator
+ * @returns {Promise<Object>} { unchanged: [{ text, previous, score }], added: [text], dropped: [text] }
+ */
+async function diffImplications(previous, current, dedup) {
+    const remaining = previous.map(text => ({ text }));
+    const unchanged = [];
+    const added = [];
+
+    for (const text of current) {
+        const match = await dedup.findMatch(text, remaining);
+        if (match) {
+            remaining.splice(remaining.indexOf(match.vector), 1);
+            unchanged.push({ text, previous: match.vector.text, score: Number(match.score.toFixed(3)) });
+        } else {
+            added.push(text);
+        }
+    }
+
+    return { unchanged, added, dropped: remaining.map(r => r.text) };
+}
+
+/**
+ * Take the previous run's vectors out of growth-vectors.json (in place).
+ * Runs inside the same locked update that adds the new vectors, before they
+ * are merged, so a new vector never reinforces the one it replaces.
+ *
+ * @param {Object} doc - growth-vectors.json document
+ * @param {Array<string>} vectorIds - Vector ids from the previous run
+ * @param {Object} options - { mode: 'supersede'|'replace', by: [new vector ids] }
+ * @returns {Object} { retired: [id], protected: [id], missing: [id] }
+ */
+function retireVectors(doc, vectorIds, { mode, by = [] }) {
+    doc.candidates = doc.candidates || [];
+    const result = { retired: [], protected: [], missing: [] };
+
+    for (const id of vectorIds) {
+        const index = doc.candidates.findIndex(v => v.id === id);
+        if (index === -1) {
+            // Promoted by stability, or gone already (merged, pruned, retired before)
+            const promoted = (doc.vectors || []).some(v => v.id === id);
+            result[promoted ? 'protected' : 'missing'].push(id);
+            continue;
+        }
+
+        const [vector] = doc.candidates.splice(index, 1);
+        if (mode === 'supersede') {
+            doc.superseded = doc.superseded || [];
+            doc.superseded.push({
+                ...vector,
+                validation_status: 'superseded',
+                supersededAt: new Date().toISOString(),
+                supersededBy: by
+            });
+        }
+        result.retired.push(id);
+    }
+
+    return result;
+}
+
+module.exports = {
+    MODES,
+    latestRun,
+    diffImplications,
+    retireVectors
+};
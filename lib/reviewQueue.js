@@ -0,0 +1,235 @@
+/**
+ * Review Queue - Hold growth vectors for a human decision before stability sees them
+ *
+ * Design principles:
+ * - Metabolism-side and per agent: nothing reaches growth-vectors.json until it is approved
+ * - A lesson queued twice is one pending vector, reinforced (same dedup as the shared file)
+ * - Rejections are kept with their reason, so the same lesson is suppressed when it comes back
+ * - An approval only leaves the queue once the write succeeded
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeAtomic, withLock } = require('./atomicFile');
+
+// Fields a reviewer may change on approval
+const EDITABLE = ['text', 'type', 'weight'];
+
+class ReviewQueue {
+    /**
+     * @param {string} filePath - Path to the agent's review-queue.json
+     * @param {Object} options - { cipher, agentId, dedup, maxPending, maxRejected }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.cipher = options.cipher || null;
+        this.agentId = options.agentId || 'main';
+        this.dedup = options.dedup;
+        this.maxPending = options.maxPending ?? 500;
+        this.maxRejected = options.maxRejected ?? 1000;
+    }
+
+    /**
+     * Queue vectors for review. Near-duplicates of a pending vector reinforce it.
+     *
+     * @param {Array<Object>} vectors
+     * @returns {Promise<Object>} { added: [...], merged: [{ id, into, score }], dropped: [id] }
+     */
+    async hold(vectors) {
+        if (!vectors || vectors.length === 0) return { added: [], merged: [], dropped: [] };
+        return this._update(async doc => {
+            const queuedAt = new Date().toISOString();
+            const staged = vectors.map(v => ({
+                ...v,
+                agentId: v.agentId || this.agentId,
+                scope: v.scope || 'agent',
+                validation_status: 'pending_review',
+                queuedAt
+            }));
+            const shelf = { candidates: doc.pending };
+            const result = await this.dedup.mergeInto(shelf, staged);
+
+            // Past the cap, the oldest pending vectors go (they stay in the ledger)
+            const dropped = doc.pending.length > this.maxPending
+                ? doc.pending.splice(0, doc.pending.length - this.maxPending).map(v => v.id)
+                : [];
+            return { ...result, dropped };
+        });
+    }
+
+    /**
+     * Split vectors into those to keep and those matching an earlier rejection.
+     * Tensions only match rejected tensions.
+     *
+     * @param {Array<Object>} vectors
+     * @returns {Promise<Object>} { kept: [...], suppressed: [{ id, rejectedId, reason, score }] }
+     */
+    async suppress(vectors) {
+        const rejected = this._read().rejected;
+        const kept = [];
+        const suppressed = [];
+        for (const vector of vectors) {
+            const isTension = vector.type === 'principle_tension';
+            const pool = rejected.filter(r => (r.type === 'principle_tension') === isTension);
+            const match = pool.length > 0 ? await this.dedup.findMatch(vector.text, pool) : null;
+            if (match) {
+                suppressed.push({ id: vector.id, rejectedId: match.vector.id, reason: match.vector.reason, score: Number(match.score.toFixed(3)) });
+            } else {
+                kept.push(vector);
+            }
+        }
+        return { kept, suppressed };
+    }
+
+    /**
+     * Pending vectors, oldest first.
+     *
+     * @param {Object} filters - { type, limit }
+     * @returns {Object} { total, vectors }
+     */
+    list({ type, limit = 50 } = {}) {
+        const matches = this._read().pending.filter(v => !type || v.type === type);
+        return { total: matches.length, vectors: matches.slice(0, limit) };
+    }
+
+    /**
+     * Recorded rejections, newest first.
+     */
+    listRejected({ limit = 50 } = {}) {
+        const rejected = this._read().rejected.slice().reverse();
+        return { total: rejected.length, rejected: rejected.slice(0, limit) };
+    }
+
+    /**
+     * Approve pending vectors. `write` gets the approved vectors and must return
+     * a truthy result; otherwise they stay pending. Runs under the queue lock.
+     *
+     * @param {Array<string>|Function} select - Vector ids, or (vector) => boolean
+     * @param {Object} edits - { [vectorId]: { text, type, weight } }
+     * @param {Function} write - async (vectors) => result | null
+     * @returns {Promise<Object>} { approved: [...], written, notFound: [id] }
+     */
+    async approve(select, edits, write) {
+        return this._update(async doc => {
+            const picked = this._pick(doc, select);
+            if (picked.vectors.length === 0) return { approved: [], written: null, notFound: picked.notFound };
+
+            const reviewedAt = new Date().toISOString();
+            const approved = picked.vectors.map(v => {
+                const changes = edits?.[v.id] || {};
+                const edited = EDITABLE.filter(f => changes[f] !== undefined && changes[f] !== v[f]);
+                const { queuedAt, ...vector } = v;
+                return {
+                    ...vector,
+                    ...Object.fromEntries(edited.map(f => [f, changes[f]])),
+                    validation_status: 'candidate',
+                    review: {
+                        decision: 'approved',
+                        reviewedAt,
+                        queuedAt,
+                        ...(edited.length > 0 ? { edited, original: Object.fromEntries(edited.map(f => [f, v[f]])) } : {})
+                    }
+                };
+            });
+
+            const written = await write(approved);
+            if (!written) {
+                return { approved: [], written: null, notFound: picked.notFound, failed: approved.map(v => v.id) };
+            }
+            doc.pending = doc.pending.filter(v => !picked.vectors.includes(v));
+            return { approved, written, notFound: picked.notFound };
+        });
+    }
+
+    /**
+     * Reject pending vectors and remember why.
+     *
+     * @param {Array<string>} ids
+     * @param {string} reason
+     * @returns {Promise<Object>} { rejected: [id], notFound: [id] }
+     */
+    async reject(ids, reason) {
+        return this._update(doc => {
+            const picked = this._pick(doc, ids);
+            this._remember(doc, picked.vectors, reason);
+            doc.pending = doc.pending.filter(v => !picked.vectors.includes(v));
+            return { rejected: picked.vectors.map(v => v.id), notFound: picked.notFound };
+        });
+    }
+
+    /**
+     * Record a rejection made elsewhere (e.g. the user in conversation), so the
+     * lesson is suppressed like one rejected in review.
+     *
+     * @param {Array<Object>} vectors - { id, text, type, sourceId }
+     * @param {string} reason
+     */
+    async remember(vectors, reason) {
+        if (!vectors || vectors.length === 0) return;
+        await this._update(doc => this._remember(doc, vectors, reason));
+    }
+
+    /**
+     * Rewrite the queue with the current encryption setting and key.
+     *
+     * @returns {Promise<Object>} { rewritten }
+     */
+    async reencrypt() {
+        if (!fs.existsSync(this.filePath)) return { rewritten: 0 };
+        await this._update(() => {});
+        return { rewritten: 1 };
+    }
+
+    _remember(doc, vectors, reason) {
+        const rejectedAt = new Date().toISOString();
+        for (const v of vectors) {
+            doc.rejected.push({
+                id: v.id,
+                text: v.text,
+                type: v.type,
+                reason: reason || null,
+                sourceId: v.sourceId || null,
+                rejectedAt
+            });
+        }
+        if (doc.rejected.length > this.maxRejected) {
+            doc.rejected.splice(0, doc.rejected.length - this.maxRejected);
+        }
+    }
+
+    _pick(doc, select) {
+        if (typeof select === 'function') {
+            return { vectors: doc.pending.filter(select), notFound: [] };
+        }
+        const ids = [].concat(select || []);
+        return {
+            vectors: doc.pending.filter(v => ids.includes(v.id)),
+            notFound: ids.filter(id => !doc.pending.some(v => v.id === id))
+        };
+    }
+
+    _read() {
+        if (!fs.existsSync(this.filePath)) return { pending: [], rejected: [] };
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        const doc = this.cipher ? this.cipher.decode(raw) : JSON.parse(raw);
+        return {
+            ...doc,
+            pending: Array.isArray(doc.pending) ? doc.pending : [],
+            rejected: Array.isArray(doc.rejected) ? doc.rejected : []
+        };
+    }
+
+    async _update(mutator) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        return withLock(this.filePath, async () => {
+            const doc = this._read();
+            const result = await mutator(doc);
+            writeAtomic(this.filePath, this.cipher ? this.cipher.encode(doc) : JSON.stringify(doc, null, 2));
+            return result;
+        });
+    }
+}
+
+ReviewQueue.EDITABLE = EDITABLE;
+
+module.exports = ReviewQueue;
@@ -0,0 +1,128 @@
+/**
+ * Scheduler - Decides when the slow path runs
+ *
+ * Design principles:
+ * - One gate for every trigger source (heartbeat hook, in-process timer, agent_end)
+ * - Cooldown + every-Nth-heartbeat throttling, configured rather than hard-coded
+ * - One cycle at a time, with a global candidate budget shared by all agents
+ */
+
+const MODES = ['agent_end', 'heartbeat', 'timer'];
+
+class Scheduler {
+    /**
+     * @param {Object} config - Plugin config (reads config.processing)
+     * @param {Function} runCycle - async (budget) => number of candidates processed
+     * @param {Object} logger - api.logger
+     */
+    constructor(config, runCycle, logger) {
+        const processing = config.processing || {};
+        this.mode = MODES.includes(processing.scheduleMode) ? processing.scheduleMode : 'agent_end';
+        this.cooldownMs = (processing.cooldownMinutes ?? 15) * 60 * 1000;
+        this.heartbeatInterval = Math.max(1, processing.heartbeatInterval || 1);
+        this.timerIntervalMs = (processing.timerIntervalMinutes || 15) * 60 * 1000;
+        this.maxCandidatesPerCycle = processing.maxCandidatesPerCycle || 2;
+
+        this.runCycle = runCycle;
+        this.logger = logger;
+
+        this.running = false;
+        this.heartbeatCount = 0;
+        this.lastRunAt = 0;
+        this.lastDurationMs = null;
+        this.lastProcessed = 0;
+        this.timer = null;
+    }
+
+    /**
+     * agent_end hook. Only schedules in agent_end mode; heartbeat-originated turns never count.
+     */
+    async onAgentEnd(event) {
+        if (this.mode !== 'agent_end' || event?.metadata?.isHeartbeat) return false;
+        return this.tick('agent_end');
+    }
+
+    /**
+     * heartbeat hook. Runs on every Nth heartbeat in heartbeat mode.
+     */
+    async onHeartbeat() {
+        if (this.mode !== 'heartbeat') return false;
+        this.heartbeatCount++;
+        if (this.heartbeatCount % this.heartbeatInterval !== 0) {
+            this.logger.debug(`[Metabolism] Skipping heartbeat ${this.heartbeatCount} (every ${this.heartbeatInterval})`);
+            return false;
+        }
+        return this.tick('heartbeat');
+    }
+
+    /**
+     * Start the in-process timer (timer mode only). The timer never keeps the process alive.
+     */
+    start() {
+        if (this.mode !== 'timer' || this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick('timer').catch(error => {
+                this.logger.error('[Metabolism] Scheduled cycle failed:', error.message);
+            });
+        }, this.timerIntervalMs);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run a cycle if the cooldown has elapsed and nothing else is running.
+     *
+     * @param {string} source - What triggered the tick (for logs)
+     * @returns {Promise<boolean>} true if a cycle ran
+     */
+    async tick(source) {
+        const sinceLast = Date.now() - this.lastRunAt;
+        if (sinceLast < this.cooldownMs) {
+            this.logger.debug(
+                `[Metabolism] Skipping processing - cooldown (${Math.round(sinceLast / 1000)}s < ${Math.round(this.cooldownMs / 1000)}s)`
+            );
+            return false;
+        }
+
+        // Global lock check - only one cycle can run at a time
+        if (this.running) {
+            this.logger.debug('[Metabolism] Skipping - global processing in progress');
+            return false;
+        }
+        this.running = true;
+
+        const started = Date.now();
+        try {
+            this.lastProcessed = await this.runCycle(this.maxCandidatesPerCycle, source);
+            return true;
+        } finally {
+            this.lastRunAt = Date.now();
+            this.lastDurationMs = this.lastRunAt - started;
+            this.running = false;
+        }
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            running: this.running,
+            lastRunAt: this.lastRunAt ? new Date(this.lastRunAt).toISOString() : null,
+            lastDurationMs: this.lastDurationMs,
+            lastProcessed: this.lastProcessed,
+            nextEligibleAt: this.lastRunAt ? new Date(this.lastRunAt + this.cooldownMs).toISOString() : null,
+            heartbeatCount: this.heartbeatCount,
+            heartbeatInterval: this.heartbeatInterval,
+            maxCandidatesPerCycle: this.maxCandidatesPerCycle
+        };
+    }
+}
+
+Scheduler.MODES = MODES;
+
+module.exports = Scheduler;
@@ -0,0 +1,177 @@
+/**
+ * Structured Output - JSON implication extraction, validation, and repair
+ *
+ * Design principles:
+ * - Opt-in (implications.outputMode: "json"), line parser stays the default
+ * - Validate before trusting (LLMs wrap JSON in prose, fences, trailing commas)
+ * - Cheap local repair first, LLM repair second, line-parser fallback last
+ */
+
+const VECTOR_TYPES = [
+    'user_correction',
+    'procedural',
+    'pattern_recognition',
+    'preference_learning',
+    'insight',
+    'principle_tension'
+];
+
+/**
+ * JSON format instructions listing the allowed vector types (custom types included).
+ */
+function formatInstructions(types = VECTOR_TYPES) {
+    return `Format: Respond with ONLY a JSON object, no prose and no code fences:
+{
+  "implications": [
+    {
+      "text": "the implication itself",
+      "type": "one of: ${types.join(', ')}",
+      "confidence": 0.0-1.0,
+      "tension": false,
+      "openQuestions": ["a question this left unresolved"]
+    }
+  ],
+  "openQuestions": ["questions about the conversation as a whole"]
+}
+For a principle tension set "tension": true and write the conflict as the text (no [TENSION] prefix needed).
+Use empty arrays when there are no open questions.`;
+}
+
+const FORMAT_INSTRUCTIONS = formatInstructions();
+
+/**
+ * Pull the JSON object out of an LLM response and apply cheap textual repairs.
+ * Returns the repaired JSON text, or null when no object is present.
+ */
+function extractJson(response) {
+    if (!response || typeof response !== 'string') return null;
+
+    let text = response.trim();
+
+    // Strip markdown code fences
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) text = fenced[1].trim();
+
+    // Drop preamble / trailing prose around the outermost object
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    text = text.slice(start, end + 1);
+
+    // Smart double quotes, then trailing commas
+    return text
+        .replace(/[“”]/g, '"')
+        .replace(/,\s*([}\]])/g, '$1');
+}
+
+/**
+ * Validate and normalize a parsed structured response.
+ *
+ * @param {*} value - Parsed JSON
+ * @param {Array<string>} types - Accepted vector types; anything else becomes null
+ * @returns {Object} { valid, errors: [...], value: { implications: [...], openQuestions: [...] } }
+ */
+function validate(value, types = VECTOR_TYPES) {
+    const errors = [];
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, errors: ['response is not a JSON object'], value: null };
+    }
+    if (!Array.isArray(value.implications)) {
+        return { valid: false, errors: ['"implications" must be an array'], value: null };
+    }
+
+    const implications = [];
+    value.implications.forEach((item, i) => {
+        // Accept bare strings — the model got the shape half right
+        if (typeof item === 'string') item = { text: item };
+
+        if (!item || typeof item !== 'object') {
+            errors.push(`implications[${i}] is not an object`);
+            return;
+        }
+        if (typeof item.text !== 'string' || item.text.trim() === '') {
+            errors.push(`implications[${i}].text must be a non-empty string`);
+            return;
+        }
+
+        let confidence = item.confidence;
+        if (typeof confidence === 'string') confidence = parseFloat(confidence);
+        confidence = Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : null;
+
+        const type = types.includes(item.type) ? item.type : null;
+
+        implications.push({
+            text: item.text.trim().replace(/^\[TENSION\]:\s*/, ''),
+            type,
+            confidence,
+            tension: item.tension === true || type === 'principle_tension' || /^\[TENSION\]/.test(item.text.trim()),
+            openQuestions: _stringList(item.openQuestions)
+        });
+    });
+
+    if (implications.length === 0 && value.implications.length > 0) {
+        errors.push('no usable implications');
+    }
+
+    return {
+        valid: errors.length === 0 || implications.length > 0,
+        errors,
+        value: { implications, openQuestions: _stringList(value.openQuestions) }
+    };
+}
+
+/**
+ * Parse a structured LLM response end to end.
+ *
+ * @param {string} response - Raw LLM output
+ * @param {Array<string>} types - Accepted vector types
+ * @returns {Object} { valid, errors, value }
+ */
+function parse(response, types = VECTOR_TYPES) {
+    const json = extractJson(response);
+    if (!json) {
+        return { valid: false, errors: ['no JSON object found in response'], value: null };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (e) {
+        return { valid: false, errors: [`invalid JSON: ${e.message}`], value: null };
+    }
+
+    return validate(parsed, types);
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix its own output.
+ */
+function buildRepairPrompt(response, errors, types = VECTOR_TYPES) {
+    return `Your previous response could not be used: ${errors.join('; ')}.
+
+Rewrite it as valid JSON matching this shape exactly. Keep the same content.
+
+${formatInstructions(types)}
+
+Previous response:
+${String(response).substring(0, 4000)}`;
+}
+
+function _stringList(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(q => typeof q === 'string')
+        .map(q => q.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    VECTOR_TYPES,
+    FORMAT_INSTRUCTIONS,
+    formatInstructions,
+    extractJson,
+    validate,
+    parse,
+    buildRepairPrompt
+};
@@ -0,0 +1,177 @@
+/**
+ * Vector Classifier - Assign a growth vector type to an implication
+ *
+ * Design principles:
+ * - Language is data: keyword rules per type and per language live in a rules file
+ * - Three methods: the model's own type (structured output), keyword rules, or a zero-shot LLM pass
+ * - Every result says how it was classified and how sure it is; keyword rules are the fallback
+ * - Custom types are declared once and used by the rules, the LLM pass and structured output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const structuredOutput = require('./structuredOutput');
+
+// Types an implication can be classified as. principle_tension is not among them:
+// tensions are flagged by the model and become vectors of their own.
+const BUILTIN_TYPES = {
+    user_correction: 'The user corrected a mistake, wrong assumption or misunderstanding',
+    procedural: 'A step to take or check in a given situation ("before X, check Y")',
+    pattern_recognition: 'A recurring pattern in the user, the work or the conversation',
+    preference_learning: 'Something the user prefers, likes or dislikes',
+    insight: 'Any other lesson about the user, the work or oneself'
+};
+
+const METHODS = ['structured', 'keywords', 'llm'];
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'templates', 'vector-types.json');
+
+class VectorClassifier {
+    /**
+     * @param {Object} config - Plugin config (reads config.classification)
+     * @param {string} baseDir - Directory relative rulesPath values resolve against
+     */
+    constructor(config, baseDir = path.join(__dirname, '..')) {
+        const classification = config.classification || {};
+        this.method = classification.method || 'structured';
+        this.fallbackType = classification.fallbackType || 'insight';
+        this.types = { ...BUILTIN_TYPES, ...(classification.types || {}) };
+        this.errors = [];
+
+        // Rules file (bundled default or rulesPath), then inline rules on top, per type
+        let fileRules = {};
+        const rulesPath = classification.rulesPath
+            ? path.resolve(baseDir, classification.rulesPath)
+            : DEFAULT_RULES_PATH;
+        try {
+            fileRules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        } catch (error) {
+            this.errors.push(`rules file ${rulesPath} could not be loaded: ${error.message}`);
+        }
+        this.rules = { ...fileRules, ...(classification.rules || {}) };
+
+        // type -> lowercased keywords across every language
+        this.keywords = Object.entries(this.rules).map(([type, byLanguage]) => ({
+            type,
+            keywords: Object.values(byLanguage || {}).flat().map(k => String(k).toLowerCase())
+        }));
+    }
+
+    /**
+     * Config problems (unknown method or types, unreadable rules). Empty when valid.
+     */
+    validate() {
+        const errors = [...this.errors];
+        if (!METHODS.includes(this.method)) {
+            errors.push(`method must be one of: ${METHODS.join(', ')}`);
+        }
+        if (!this.types[this.fallbackType]) {
+            errors.push(`fallbackType "${this.fallbackType}" is not a known type`);
+        }
+        for (const [type, byLanguage] of Object.entries(this.rules)) {
+            if (!this.types[type]) {
+                errors.push(`rules for unknown type "${type}" (declare it in classification.types)`);
+            } else if (!byLanguage || typeof byLanguage !== 'object' ||
+                Object.values(byLanguage).some(list => !Array.isArray(list))) {
+                errors.push(`rules for "${type}" must map language codes to keyword arrays`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Every type the model may use in structured output (principle_tension included).
+     */
+    typeNames() {
+        return [...Object.keys(this.types), 'principle_tension'];
+    }
+
+    /**
+     * Classify one implication.
+     *
+     * @param {Object} detail - Structured detail ({ text, type, confidence })
+     * @param {Object} options - { complete: async (prompt) => text } for the llm method
+     * @returns {Promise<Object>} { type, confidence, method }
+     */
+    async classify(detail, { complete } = {}) {
+        if (this.method === 'structured' && this.types[detail.type]) {
+            // The model picked the type while extracting; its confidence is the best we have
+            return { type: detail.type, confidence: detail.confidence ?? 1, method: 'structured' };
+        }
+
+        if (this.method === 'llm' && complete) {
+            try {
+                const result = this._parseLLM(await complete(this.buildPrompt(detail.text)));
+                if (result) return result;
+                console.warn('[Metabolism] Classification response unusable, using keyword rules');
+            } catch (error) {
+                console.warn('[Metabolism] Classification call failed, using keyword rules:', error.message);
+            }
+        }
+
+        return this.byKeywords(detail.text);
+    }
+
+    /**
+     * Keyword rules: the type with the most matching keywords wins, ties go to
+     * the type listed first. Confidence is the winner's share of all matches,
+     * scaled down when only a keyword or two matched.
+     *
+     * @param {string} text
+     * @returns {Object} { type, confidence, method: 'keywords' }
+     */
+    byKeywords(text) {
+        const lower = String(text || '').toLowerCase();
+        let best = null;
+        let total = 0;
+        for (const { type, keywords } of this.keywords) {
+            const hits = keywords.filter(k => lower.includes(k)).length;
+            total += hits;
+            if (hits > 0 && (!best || hits > best.hits)) best = { type, hits };
+        }
+
+        if (!best) return { type: this.fallbackType, confidence: 0, method: 'keywords' };
+        const confidence = (best.hits / total) * (best.hits / (best.hits + 1));
+        return { type: best.type, confidence: Number(confidence.toFixed(2)), method: 'keywords' };
+    }
+
+    /**
+     * Zero-shot classification prompt.
+     */
+    buildPrompt(text) {
+        const types = Object.entries(this.types).map(([name, description]) => `- ${name}: ${description}`).join('\n');
+        return `Classify this lesson an AI assistant learned from a conversation. Pick exactly one type.
+The lesson may be in any language.
+
+Types:
+${types}
+
+Lesson: ${text}
+
+Respond with ONLY a JSON object: {"type": "<type>", "confidence": 0.0-1.0}`;
+    }
+
+    _parseLLM(response) {
+        const json = structuredOutput.extractJson(response);
+        if (!json) return null;
+        let value;
+        try {
+            value = JSON.parse(json);
+        } catch (e) {
+            return null;
+        }
+        if (!this.types[value?.type]) return null;
+
+        const confidence = Number(value.confidence);
+        return {
+            type: value.type,
+            confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0.5,
+            method: 'llm'
+        };
+    }
+}
+
+VectorClassifier.BUILTIN_TYPES = Object.keys(BUILTIN_TYPES);
+VectorClassifier.METHODS = METHODS;
+
+module.exports = VectorClassifier;